@@ -0,0 +1,93 @@
+// cache.js (ESM) — classification cache (LRU + TTL) with a pluggable store
+import crypto from 'node:crypto';
+
+/*
+ * Store interface (all methods may be async):
+ *   get(key)              → value | undefined
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   clear()
+ * MemoryStore below is the default; a file- or Redis-backed store only needs these four methods.
+ */
+export class MemoryStore {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.map = new Map(); // insertion order doubles as LRU order
+  }
+
+  get(key) {
+    const e = this.map.get(key);
+    if (!e) return undefined;
+    if (e.expiresAt && e.expiresAt <= Date.now()) {
+      this.map.delete(key);
+      return undefined;
+    }
+    this.map.delete(key);
+    this.map.set(key, e);
+    return e.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.map.delete(key);
+    this.map.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+    while (this.map.size > this.maxEntries) this.map.delete(this.map.keys().next().value);
+  }
+
+  delete(key) { this.map.delete(key); }
+
+  clear() { this.map.clear(); }
+
+  get size() { return this.map.size; }
+}
+
+// JSON with sorted object keys, so { a, b } and { b, a } hash the same
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export const normalizeText = (s) => String(s ?? '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Cache of sanitized classifications keyed by normalized text + a hash of the taxonomy context.
+ * ttlMs <= 0 disables it (every lookup misses, nothing is stored).
+ */
+export function createClassifyCache({ store = new MemoryStore(), ttlMs = 24 * 3600 * 1000 } = {}) {
+  const stats = { hits: 0, misses: 0 };
+  const enabled = ttlMs > 0;
+
+  return {
+    stats,
+    store,
+
+    // ctx: { kind, categories, subcats, hints, languages, promptVersion }
+    // models: the provider chain ("gemini:gemini-2.5-flash-lite,openai:gpt-5-nano"), so tenants on other models don't share answers
+    contextHash({ kind, categories, subcats, hints, languages, promptVersion, models }) {
+      return crypto.createHash('sha256')
+        .update(stableStringify({ kind, categories, subcats, hints, languages, promptVersion, models }))
+        .digest('hex').slice(0, 16);
+    },
+
+    keyFor(text, ctxHash) {
+      return `${ctxHash}:${normalizeText(text)}`;
+    },
+
+    async get(key) {
+      if (!enabled) { stats.misses++; return undefined; }
+      const v = await store.get(key);
+      if (v === undefined) stats.misses++; else stats.hits++;
+      return v;
+    },
+
+    async set(key, value) {
+      if (enabled) await store.set(key, value, ttlMs);
+    },
+
+    async clear() {
+      await store.clear();
+    }
+  };
+}
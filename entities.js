@@ -0,0 +1,344 @@
+// entities.js (ESM) — deterministic entity extraction for classified texts
+// Dates/times are resolved here, in the caller's time zone, never taken from the model.
+//
+//   when     (Reminders, To-do)  { datetime, date, time, allDay, timezone, recurrence, title }
+//   grocery  (Groceries)         { item, quantity, unit }
+//   media    (Movies, Shows)     { title, kind: 'movie'|'show', season, episode, platform }
+//
+// English phrasing only; anything the parser doesn't recognise is simply left out.
+
+/* ---------- Time zones ---------- */
+// "aMeRiCa/new_YORK" → "America/New_York"; null when Intl doesn't know the zone
+export function canonicalTimeZone(tz) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: tz }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+// Cached per canonical zone name: Intl accepts any letter case ("aMeRiCa/new_YORK"), so keying on the
+// raw string would let clients grow the cache without bound. Other spellings build a formatter per call.
+const formatters = new Map();
+const formatterFor = (tz) => {
+  if (formatters.has(tz)) return formatters.get(tz);
+  const f = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  const canonical = f.resolvedOptions().timeZone;
+  if (!formatters.has(canonical)) formatters.set(canonical, f);
+  return f;
+};
+
+const DOW = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Instant → wall clock in tz: { y, mo, d, h, mi, s, dow }
+function wallClock(ms, tz) {
+  const p = Object.fromEntries(formatterFor(tz).formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return { y: +p.year, mo: +p.month, d: +p.day, h: +p.hour, mi: +p.minute, s: +p.second, dow: DOW.indexOf(p.weekday.slice(0, 3).toLowerCase()) };
+}
+
+const offsetMinutes = (ms, tz) => {
+  const w = wallClock(ms, tz);
+  return Math.round((Date.UTC(w.y, w.mo - 1, w.d, w.h, w.mi, w.s) - Math.floor(ms / 1000) * 1000) / 60000);
+};
+
+// Wall clock in tz → instant (second pass settles DST transitions)
+function zonedToUtc({ y, mo, d }, { h, mi }, tz) {
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const first = guess - offsetMinutes(guess, tz) * 60000;
+  return guess - offsetMinutes(first, tz) * 60000;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function isoInZone(ms, tz) {
+  const w = wallClock(ms, tz);
+  const off = offsetMinutes(ms, tz);
+  const sign = off < 0 ? '-' : '+';
+  return `${w.y}-${pad(w.mo)}-${pad(w.d)}T${pad(w.h)}:${pad(w.mi)}:00${sign}${pad(Math.floor(Math.abs(off) / 60))}:${pad(Math.abs(off) % 60)}`;
+}
+
+/* ---------- Civil dates ---------- */
+const civil = (y, mo, d) => {
+  const t = new Date(Date.UTC(y, mo - 1, d));
+  return { y: t.getUTCFullYear(), mo: t.getUTCMonth() + 1, d: t.getUTCDate() };
+};
+const addDays = (c, n) => civil(c.y, c.mo, c.d + n);
+// A date the user wrote: null when that month has no such day ("feb 30" is not March 2nd)
+const exactDay = (y, mo, d) => {
+  const c = civil(y, mo, d);
+  return c.d === d && c.mo === civil(y, mo, 1).mo ? c : null;
+};
+const before = (a, b) => Date.UTC(a.y, a.mo - 1, a.d) < Date.UTC(b.y, b.mo - 1, b.d);
+const dateStr = (c) => `${c.y}-${pad(c.mo)}-${pad(c.d)}`;
+
+/* ---------- Vocabulary ---------- */
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, half: 0.5, couple: 2 };
+const NUM = `(\\d+(?:[.,]\\d+)?|\\d+\\s*\\/\\s*\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+function parseNumber(s) {
+  s = String(s).trim().toLowerCase();
+  if (s in NUMBER_WORDS) return NUMBER_WORDS[s];
+  const frac = /^(\d+)\s*\/\s*(\d+)$/.exec(s);
+  if (frac) return Number(frac[2]) ? Number(frac[1]) / Number(frac[2]) : null;
+  const n = Number(s.replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+const WEEKDAY_FULL = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday';
+const WEEKDAY_SHORT = 'sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat';
+const weekdayIndex = (s) => DOW.indexOf(s.slice(0, 3).toLowerCase());
+const RRULE_DAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MONTH = 'jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec';
+const monthIndex = (s) => MONTH.split('|').indexOf(s.slice(0, 3).toLowerCase()) + 1;
+
+// Default clock time for a part of the day
+const PART_OF_DAY = { morning: [9, 0], noon: [12, 0], midday: [12, 0], afternoon: [15, 0], evening: [18, 0], tonight: [20, 0], night: [20, 0] };
+const LATE_PARTS = new Set(['afternoon', 'evening', 'tonight', 'night']);
+
+/* ---------- when ---------- */
+function parseWhen(text, { timezone, referenceTime }) {
+  const ref = wallClock(referenceTime, timezone);
+  const today = { y: ref.y, mo: ref.mo, d: ref.d };
+  const spans = [];
+  const find = (re) => {
+    const m = re.exec(text);
+    if (m) spans.push([m.index, m.index + m[0].length]);
+    return m;
+  };
+
+  let day = null;
+  let time = null;      // { h, mi, meridiem }
+  let instant = null;   // "in 20 minutes"
+  let part = null;
+  let recurrence = null;
+  let m;
+
+  // Recurrence
+  if ((m = find(/\bevery\s+weekdays?\b/i))) recurrence = { freq: 'weekly', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+  else if ((m = find(/\bevery\s+weekends?\b/i))) recurrence = { freq: 'weekly', interval: 1, byDay: ['SA', 'SU'] };
+  else if ((m = find(new RegExp(`\\bevery\\s+(?:${WEEKDAY_FULL}|${WEEKDAY_SHORT})s?\\b(?:\\s*(?:,|and|&)\\s*(?:${WEEKDAY_FULL}|${WEEKDAY_SHORT})s?\\b)*`, 'i')))) {
+    const days = [...m[0].matchAll(new RegExp(`\\b(${WEEKDAY_FULL}|${WEEKDAY_SHORT})`, 'gi'))].map(x => weekdayIndex(x[1]));
+    recurrence = { freq: 'weekly', interval: 1, byDay: [...new Set(days)].sort((a, b) => a - b).map(i => RRULE_DAY[i]) };
+  } else if ((m = find(/\bevery\s+(other\s+|(\d+)\s+)?(day|week|month|year)s?\b/i))) {
+    recurrence = { freq: { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' }[m[3].toLowerCase()], interval: m[1] ? (m[2] ? Number(m[2]) : 2) : 1 };
+  } else if ((m = find(/\bevery\s+(morning|afternoon|evening|night)\b/i))) {
+    recurrence = { freq: 'daily', interval: 1 };
+    part = m[1].toLowerCase();
+  } else if ((m = find(/\b(daily|everyday|weekly|monthly|yearly|annually)\b/i))) {
+    const w = m[1].toLowerCase();
+    recurrence = { freq: w === 'everyday' ? 'daily' : w === 'annually' ? 'yearly' : w, interval: 1 };
+  }
+
+  // Relative offsets
+  if ((m = find(new RegExp(`\\bin\\s+${NUM}\\s*(minutes?|mins?|hours?|hrs?|days?|weeks?|months?)\\b`, 'i')))) {
+    const n = parseNumber(m[1]);
+    const unit = m[2].toLowerCase();
+    if (n !== null) {
+      if (/^(min|hour|hr)/.test(unit)) instant = referenceTime + n * (unit.startsWith('min') ? 60000 : 3600000);
+      else if (unit.startsWith('day')) day = addDays(today, Math.round(n));
+      else if (unit.startsWith('week')) day = addDays(today, Math.round(n * 7));
+      else day = civil(today.y, today.mo + Math.round(n), today.d);
+    }
+  }
+
+  // Days
+  if (!day && (m = find(/\bday\s+after\s+tomorrow\b/i))) day = addDays(today, 2);
+  if (!day && (m = find(/\b(tomorrow|tomorow|tmrw|tmr)\b/i))) day = addDays(today, 1);
+  if (!day && (m = find(/\b(today|tonight)\b/i))) {
+    day = today;
+    if (m[1].toLowerCase() === 'tonight') part ??= 'tonight';
+  }
+  if (!day && (m = find(/\bnext\s+week\b/i))) day = addDays(today, ((1 - ref.dow + 7) % 7) || 7);
+  if (!day && (m = find(/\bnext\s+month\b/i))) day = civil(today.y, today.mo + 1, 1);
+  if (!day && (m = find(/\b(?:this\s+|the\s+)?weekend\b/i))) day = addDays(today, (6 - ref.dow + 7) % 7);
+  if (!day && (m = find(new RegExp(`\\b(?:(next|this|coming|on)\\s+)?(${WEEKDAY_FULL})\\b|\\b(next|this|coming|on|every)\\s+(${WEEKDAY_SHORT})\\b`, 'i')))) {
+    const qualifier = (m[1] || m[3] || '').toLowerCase();
+    const ahead = (weekdayIndex(m[2] || m[4]) - ref.dow + 7) % 7;
+    day = addDays(today, qualifier === 'next' && ahead === 0 ? 7 : ahead);
+  }
+  if (!day && (m = find(/\b(\d{4})-(\d{2})-(\d{2})\b/)) && +m[2] >= 1 && +m[2] <= 12) day = exactDay(+m[1], +m[2], +m[3]);
+  if (!day && ((m = find(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})[a-z]*\\.?(?:,?\\s+(\\d{4}))?\\b`, 'i'))) ||
+               (m = find(new RegExp(`\\b(${MONTH})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'))))) {
+    const [dd, mon] = /^\d/.test(m[1]) ? [+m[1], monthIndex(m[2])] : [+m[2], monthIndex(m[1])];
+    day = exactDay(m[3] ? +m[3] : today.y, mon, dd);
+    if (!m[3] && day && before(day, today)) day = exactDay(today.y + 1, mon, dd);
+  }
+  // "on the 31st": this month's, else next month's when this month's has passed or doesn't exist
+  if (!day && (m = find(/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)\b/i))) {
+    day = exactDay(today.y, today.mo, +m[1]);
+    if (!day || before(day, today)) day = exactDay(today.y, today.mo + 1, +m[1]);
+  }
+
+  // Clock time
+  if ((m = find(/\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?\s?m\b\.?/i))) {
+    const h = +m[1] % 12 + (m[3].toLowerCase() === 'p' ? 12 : 0);
+    if (+m[1] >= 1 && +m[1] <= 12 && (m[2] ?? 0) < 60) time = { h, mi: +(m[2] ?? 0), meridiem: true };
+  } else if ((m = find(/\b([01]?\d|2[0-3]):([0-5]\d)\b/))) {
+    time = { h: +m[1], mi: +m[2], meridiem: +m[1] === 0 || +m[1] > 12 };
+  } else if ((m = find(/(?:\b(?:at|by|around)\s+|@\s*)(\d{1,2})\b(?!\s*(?:%|[/.,:]\d|x\b|kg\b|g\b|l\b|ml\b))/i))) {
+    if (+m[1] <= 23) time = { h: +m[1], mi: 0, meridiem: +m[1] === 0 || +m[1] > 12 };
+  } else if ((m = find(/\b(noon|midday|midnight)\b/i))) {
+    time = m[1].toLowerCase() === 'midnight' ? { h: 23, mi: 59, meridiem: true } : { h: 12, mi: 0, meridiem: true };
+  }
+  if ((m = find(/\b(?:this\s+|in\s+the\s+)?(morning|afternoon|evening|night)\b/i))) part ??= m[1].toLowerCase();
+
+  if (time && !time.meridiem && time.h >= 1 && time.h < 12 && part && LATE_PARTS.has(part)) time.h += 12;
+  // A bare 1–6 with no part of the day is afternoon, with or without a date ("tomorrow at 5" → 17:00)
+  else if (time && !time.meridiem && !part && time.h >= 1 && time.h <= 6) time.h += 12;
+  if (!time && part) time = { h: PART_OF_DAY[part][0], mi: PART_OF_DAY[part][1], meridiem: true };
+
+  // Resolve to one instant in the caller's zone
+  let datetime = null;
+  let allDay = false;
+  if (instant !== null) {
+    datetime = instant;
+  } else if (time) {
+    // Today → the next time the clock shows it ("at 9" after 9am means 9pm when that is still ahead);
+    // a time with no date that has passed for today moves to tomorrow
+    const timeOnly = !day;
+    day ??= today;
+    if (dateStr(day) === dateStr(today) && zonedToUtc(day, time, timezone) <= referenceTime) {
+      if (!time.meridiem && time.h < 12 && zonedToUtc(day, { h: time.h + 12, mi: time.mi }, timezone) > referenceTime) time.h += 12;
+      else if (timeOnly) day = addDays(today, 1);
+    }
+    datetime = zonedToUtc(day, time, timezone);
+  } else if (day) {
+    allDay = true;
+    datetime = zonedToUtc(day, { h: 0, mi: 0 }, timezone);
+  }
+
+  if (datetime === null && !recurrence) return null;
+
+  const w = datetime !== null ? wallClock(datetime, timezone) : null;
+  return {
+    datetime: datetime !== null ? isoInZone(datetime, timezone) : null,
+    date: w ? dateStr(w) : null,
+    time: w && !allDay ? `${pad(w.h)}:${pad(w.mi)}` : null,
+    allDay,
+    timezone,
+    recurrence: recurrence && {
+      ...recurrence,
+      rrule: [`FREQ=${recurrence.freq.toUpperCase()}`, recurrence.interval > 1 ? `INTERVAL=${recurrence.interval}` : null, recurrence.byDay ? `BYDAY=${recurrence.byDay.join(',')}` : null].filter(Boolean).join(';')
+    },
+    title: stripSpans(text, spans)
+  };
+}
+
+// What is left once the date/time phrases are cut out: "remind me to call mom tomorrow at 6pm" → "call mom"
+function stripSpans(text, spans) {
+  let out = '';
+  let at = 0;
+  for (const [a, b] of [...spans].sort((x, y) => x[0] - y[0])) {
+    if (a > at) out += text.slice(at, a) + ' ';
+    at = Math.max(at, b);
+  }
+  out += text.slice(at);
+  out = out.replace(/\s+/g, ' ').trim()
+    .replace(/^(?:please\s+)?(?:remind\s+me|set\s+a\s+reminder|reminder)(?:\s+(?:to|about|for))?\s*[:,-]?\s*/i, '');
+  const filler = /^(?:to|at|on|by|in|for|from|this|next|every|the)(?:\s+|$)|\s+(?:to|at|on|by|in|for|from|this|next|every|the)$|^[\s,.;:-]+|[\s,.;:-]+$/i;
+  while (filler.test(out)) out = out.replace(filler, '').trim();
+  return out || null;
+}
+
+/* ---------- grocery ---------- */
+const UNITS = {
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  g: ['g', 'gm', 'gms', 'gr', 'gram', 'grams'],
+  mg: ['mg'],
+  l: ['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters'],
+  ml: ['ml'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  oz: ['oz', 'ounce', 'ounces'],
+  dozen: ['dozen', 'doz'],
+  pack: ['pack', 'packs', 'packet', 'packets', 'pkt', 'pkts'],
+  bag: ['bag', 'bags'],
+  box: ['box', 'boxes'],
+  bottle: ['bottle', 'bottles'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  jar: ['jar', 'jars'],
+  carton: ['carton', 'cartons'],
+  loaf: ['loaf', 'loaves'],
+  bunch: ['bunch', 'bunches'],
+  piece: ['pc', 'pcs', 'piece', 'pieces'],
+  cup: ['cup', 'cups'],
+  tbsp: ['tbsp'],
+  tsp: ['tsp']
+};
+const UNIT_OF = Object.fromEntries(Object.entries(UNITS).flatMap(([unit, aliases]) => aliases.map(a => [a, unit])));
+const UNIT = `(${Object.keys(UNIT_OF).sort((a, b) => b.length - a.length).join('|')})`;
+const GROCERY_VERBS = /^(?:buy|get|grab|order|pick\s+up|need|add|restock)\s+/i;
+const cleanItem = (s) => s.replace(/^(?:of\s+)/i, '').replace(/\s+please$/i, '').replace(/^[\s,.;:-]+|[\s,.;:!-]+$/g, '');
+
+function parseGrocery(text) {
+  const s = text.trim().replace(GROCERY_VERBS, '').trim();
+  // "2kg onions", "2 x milk", "a dozen eggs", "500 g of paneer", "half kg rice"
+  let m = new RegExp(`^${NUM}\\s*(?:x\\s*)?(?:${UNIT}\\b\\.?)?\\s+(.+)$`, 'i').exec(s);
+  if (m && parseNumber(m[1]) !== null) {
+    return { item: cleanItem(m[3]) || null, quantity: parseNumber(m[1]), unit: m[2] ? UNIT_OF[m[2].toLowerCase()] : null };
+  }
+  // "onions 2kg", "milk x2", "eggs - 12"
+  m = new RegExp(`^(.+?)\\s*[-:,]?\\s+(?:x\\s*)?${NUM}\\s*(?:${UNIT}\\b\\.?)?$`, 'i').exec(s);
+  if (m && parseNumber(m[2]) !== null) {
+    return { item: cleanItem(m[1]) || null, quantity: parseNumber(m[2]), unit: m[3] ? UNIT_OF[m[3].toLowerCase()] : null };
+  }
+  return { item: cleanItem(s) || null, quantity: null, unit: null };
+}
+
+/* ---------- media ---------- */
+const PLATFORMS = 'netflix|amazon prime|prime video|prime|hulu|disney\\+?|hotstar|jiocinema|hbo max|hbo|max|apple tv\\+?|youtube|crunchyroll|zee5|sonyliv|peacock|paramount\\+?';
+const MEDIA_CUE = 'movie|film|tv show|tv series|web series|series|show|documentary';
+
+function parseMedia(text, kindHint) {
+  let s = text.trim();
+  let season = null;
+  let episode = null;
+  let platform = null;
+  let m;
+  const cut = (re, fn) => {
+    if ((m = re.exec(s))) {
+      fn(m);
+      s = (s.slice(0, m.index) + ' ' + s.slice(m.index + m[0].length)).replace(/\s+/g, ' ').trim();
+    }
+  };
+
+  cut(/\bs(\d{1,2})\s?e(\d{1,3})\b/i, (x) => { season = +x[1]; episode = +x[2]; });
+  cut(/\bseason\s+(\d{1,2})\b/i, (x) => { season = +x[1]; });
+  cut(/\b(?:episode|ep\.?)\s*(\d{1,3})\b/i, (x) => { episode = +x[1]; });
+  if (season === null && kindHint === 'show') cut(/\bs(\d{1,2})\b/i, (x) => { season = +x[1]; });
+  cut(new RegExp(`\\b(?:on|in)\\s+(${PLATFORMS})\\b`, 'i'), (x) => { platform = x[1]; });
+
+  s = s.replace(/^(?:to\s+)?(?:watch|rewatch|re-watch|see|binge|finish|start|continue|check\s+out)\s+/i, '')
+    .replace(new RegExp(`^(?:the\\s+)?(?:${MEDIA_CUE})\\s*[:-]?\\s+`, 'i'), '')
+    .replace(new RegExp(`\\s+(?:${MEDIA_CUE})$`, 'i'), '')
+    .replace(/^[\s"'“”‘’,.;:-]+|[\s"'“”‘’,.;:!-]+$/g, '');
+
+  return {
+    title: s || null,
+    kind: season !== null || episode !== null ? 'show' : kindHint,
+    season,
+    episode,
+    platform
+  };
+}
+
+/* ---------- Entry point ---------- */
+const KIND_OF_CATEGORY = { reminders: 'when', reminder: 'when', 'to-do': 'when', todo: 'when', groceries: 'grocery', grocery: 'grocery', movies: 'movie', movie: 'movie', shows: 'show', show: 'show' };
+
+/**
+ * Entities for one classified text, or null when there is nothing to report.
+ * opts: { timezone (IANA, default UTC), referenceTime (epoch ms, default now) }
+ */
+export function extractEntities(text, category, { timezone = 'UTC', referenceTime = Date.now() } = {}) {
+  const kind = KIND_OF_CATEGORY[String(category ?? '').toLowerCase()];
+  if (!kind || typeof text !== 'string' || !text.trim()) return null;
+  if (kind === 'when') {
+    const when = parseWhen(text, { timezone, referenceTime });
+    return when ? { when } : null;
+  }
+  if (kind === 'grocery') return { grocery: parseGrocery(text) };
+  return { media: parseMedia(text, kind) };
+}
@@ -0,0 +1,49 @@
+// errors.js (ESM) — error codes → error types, and the error raised when no provider answers usably
+//
+// Every error body is { error: <code>, type: <type>, requestId, … }. `type` is what a client
+// branches on; `error` is the precise reason, for logs and support.
+//   validation        the request is wrong; sending it again unchanged fails again     400, 413
+//   auth              credentials missing, expired or refused; re-authenticate          401, 403
+//   rate_limit        too many requests or tokens; retry after Retry-After / resetAt    429
+//   not_found         no such resource (for this caller)                                404
+//   conflict          the resource is in the wrong state for this request               409
+//   provider_outage   no provider answered (down, timing out, circuits open)            503
+//   provider_output   providers answered, but nothing usable came back                  502
+//   unavailable       the feature is not configured on this server                      503
+//   internal          a server bug; report the requestId                                500
+
+export const ERROR_TYPES = {
+  validation: ['invalid_request', 'invalid_json', 'payload_too_large', 'unknown_prompt_version', 'invalid_feedback', 'device_id_required', 'invalid_device_id'],
+  auth: ['app_key_invalid', 'identity_required', 'unauthorized', 'token_missing', 'token_expired', 'token_invalid', 'origin_not_allowed'],
+  rate_limit: ['rate_limited', 'quota_exceeded', 'too_many_jobs'],
+  not_found: ['not_found', 'job_not_found'],
+  conflict: ['job_finished', 'installation_registered'],
+  provider_outage: ['provider_outage'],
+  provider_output: ['unparseable_output'],
+  unavailable: ['admin_unavailable', 'session_unavailable', 'signing_unavailable'],
+  internal: ['internal_error', 'classification_failed', 'analyze_failed', 'fixture_missing']
+};
+
+const TYPE_OF = new Map(Object.entries(ERROR_TYPES).flatMap(([type, codes]) => codes.map(c => [c, type])));
+const TYPE_BY_STATUS = { 400: 'validation', 401: 'auth', 403: 'auth', 404: 'not_found', 409: 'conflict', 413: 'validation', 429: 'rate_limit', 502: 'provider_output', 503: 'unavailable' };
+
+// Unlisted codes are typed by status, so a new error code never goes out untyped
+export function errorType(code, status) {
+  if (TYPE_OF.has(code)) return TYPE_OF.get(code);
+  if (String(code).startsWith('signature_')) return 'auth';
+  return TYPE_BY_STATUS[status] ?? 'internal';
+}
+
+/**
+ * Every provider in the chain failed. code:
+ *   provider_outage      none answered (errors, timeouts, open circuits)        → 503
+ *   unparseable_output   at least one answered, but never with usable JSON      → 502
+ */
+export class ProvidersFailedError extends Error {
+  constructor(code) {
+    super(code === 'unparseable_output' ? 'no provider returned usable output' : 'no provider answered');
+    this.name = 'ProvidersFailedError';
+    this.code = code;
+    this.status = code === 'unparseable_output' ? 502 : 503;
+  }
+}
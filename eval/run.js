@@ -0,0 +1,315 @@
+// eval/run.js (ESM) — offline accuracy report for /classify and /analyze against a golden dataset
+//
+//   npm run eval                      replay recorded provider responses (no network)
+//   npm run eval -- --record          call the live providers and (re)record their responses
+//
+// Options: --dataset <jsonl>  --fixtures <dir>  --routes classify,analyze  --compare <json>  --out <json>
+//
+// The real server (prompt templates, callLLM, mappers, sanitizeSingle, post-rules) runs as a child
+// process with PROVIDER_MODE=replay|record; the cache, learned hints and quotas are disabled so every
+// row reaches the provider chain. Local auth, signing, tenant and job settings are pinned off so a
+// developer's .env can't refuse or skew the run, and everything that shapes the prompts (template
+// versions, per-locale routes, chunk size, language detection) is pinned so replay finds its fixtures.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LATEST } from '../prompts_exact.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_CATEGORIES = ["To-do","Reminders","Groceries","Movies","Shows","App","Other"];
+const ANALYZE_BATCH = 20;
+
+/* ---------- Args / dataset ---------- */
+function parseArgs(argv) {
+  const args = {
+    record: false,
+    dataset: path.join(ROOT, 'eval/golden.jsonl'),
+    fixtures: path.join(ROOT, 'eval/fixtures'),
+    routes: ['classify', 'analyze'],
+    compare: path.join(ROOT, 'eval/results/last.json'),
+    out: path.join(ROOT, 'eval/results/last.json')
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const val = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === '--record') args.record = true;
+    else if (a === '--dataset') args.dataset = path.resolve(val());
+    else if (a === '--fixtures') args.fixtures = path.resolve(val());
+    else if (a === '--routes') args.routes = val().split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--compare') args.compare = path.resolve(val());
+    else if (a === '--out') args.out = path.resolve(val());
+    else throw new Error(`unknown option ${a}`);
+  }
+  return args;
+}
+
+// One JSON object per line: { id?, text, categories?, subcategoriesByCategory?, expectedCategory, expectedSubcategory?, language? }
+function loadDataset(file) {
+  const rows = [];
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const r = JSON.parse(line);
+    if (typeof r.text !== 'string' || !r.text.trim() || /[\r\n]/.test(r.text)) throw new Error(`${file}:${i + 1}: "text" must be a single non-empty line`);
+    if (typeof r.expectedCategory !== 'string') throw new Error(`${file}:${i + 1}: "expectedCategory" is required`);
+    rows.push({
+      id: r.id ?? `row${i + 1}`,
+      text: r.text.trim(),
+      categories: Array.isArray(r.categories) && r.categories.length ? r.categories : DEFAULT_CATEGORIES,
+      subcategoriesByCategory: r.subcategoriesByCategory ?? {},
+      expectedCategory: r.expectedCategory,
+      expectedSubcategory: r.expectedSubcategory ?? null,
+      language: r.language ?? null
+    });
+  });
+  return rows;
+}
+
+/* ---------- Server ---------- */
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer();
+  srv.once('error', reject);
+  srv.listen(0, () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+});
+
+async function startServer({ record, fixtures }) {
+  const port = await freePort();
+  const tmp = (name) => path.join(os.tmpdir(), `smartnotes-eval-${name}-${process.pid}`);
+  // Per-locale prompt routes (PROMPT_ANALYZE_HI, …) are dropped rather than pinned
+  const inherited = Object.fromEntries(Object.entries(process.env).filter(([k]) => !/^PROMPT_(CLASSIFY|ANALYZE)_/.test(k)));
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: ROOT,
+    env: {
+      ...inherited,
+      PORT: String(port),
+      PROVIDER_MODE: record ? 'record' : 'replay',
+      PROVIDER_FIXTURES_DIR: fixtures,
+      CACHE_TTL_SEC: '0',
+      JWT_SECRET: '',
+      APP_KEY: '',
+      SIGNING_MODE: 'off',
+      SIGNING_KEYS: '',
+      TENANTS_FILE: tmp('tenants.json'), // never created: only the env-built default tenant
+      ALLOW_ORIGINS: '',
+      RATE_LIMIT_PER_MIN: '100000',
+      JOBS_DIR: tmp('jobs'),
+      FEEDBACK_FILE: tmp('feedback.json'),
+      USAGE_FILE: tmp('usage.json'),
+      QUOTA_CLASSIFY_PER_MIN: '0',
+      QUOTA_ANALYZE_PER_MIN: '0',
+      QUOTA_TOKENS_PER_DAY: '0',
+      QUOTA_TOKENS_PER_MONTH: '0',
+      PROMPT_CLASSIFY: LATEST.classify,
+      PROMPT_ANALYZE: LATEST.analyze,
+      ANALYZE_CHUNK_LINES: '40',
+      DETECT_LANGUAGE: '1',
+      DEBUG_AI: '0'
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', d => { stderr += d; });
+
+  const base = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`server exited early:\n${stderr}`);
+    try {
+      if ((await fetch(`${base}/health`)).ok) return { base, stop: () => child.kill() };
+    } catch {}
+    await new Promise(r => setTimeout(r, 100));
+  }
+  child.kill();
+  throw new Error(`server did not come up:\n${stderr}`);
+}
+
+async function post(base, route, body) {
+  const r = await fetch(`${base}${route}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  const json = await r.json().catch(() => ({}));
+  if (json.error === 'fixture_missing') {
+    throw new Error(`${route}: no recorded response (fixture ${json.fixture}); the prompt, model or dataset changed since recording. Re-run with --record.`);
+  }
+  if (!r.ok) throw new Error(`${route} → ${r.status} ${JSON.stringify(json)}`);
+  return json;
+}
+
+/* ---------- Runs ---------- */
+const request = (row) => ({
+  categories: row.categories,
+  subcategoriesByCategory: row.subcategoriesByCategory,
+  ...(row.language ? { languages: [row.language] } : {})
+});
+
+async function runClassify(base, rows) {
+  const preds = [];
+  for (const row of rows) preds.push(await post(base, '/classify', { text: row.text, ...request(row) }));
+  return preds;
+}
+
+// Rows sharing a taxonomy + language are sent together as one note, ANALYZE_BATCH lines at a time
+async function runAnalyze(base, rows) {
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const k = JSON.stringify(request(row));
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(i);
+  });
+  const preds = new Array(rows.length).fill(null);
+  for (const idxs of groups.values()) {
+    for (let s = 0; s < idxs.length; s += ANALYZE_BATCH) {
+      const batch = idxs.slice(s, s + ANALYZE_BATCH);
+      const out = await post(base, '/analyze', { text: batch.map(i => rows[i].text).join('\n'), ...request(rows[batch[0]]) });
+      for (const it of out.items ?? []) {
+        const k = Number(String(it.id).slice(1)) - 1;
+        if (batch[k] !== undefined) preds[batch[k]] = it;
+      }
+    }
+  }
+  return preds;
+}
+
+/* ---------- Metrics ---------- */
+const round = (n) => Math.round(n * 1000) / 1000;
+
+function score(rows, preds) {
+  const predicted = preds.map(p => p?.category ?? '(missing)');
+  const labels = [...new Set([...rows.map(r => r.expectedCategory), ...predicted])].sort();
+  const confusion = Object.fromEntries(labels.map(e => [e, Object.fromEntries(labels.map(p => [p, 0]))]));
+  rows.forEach((r, i) => { confusion[r.expectedCategory][predicted[i]]++; });
+
+  const perCategory = {};
+  for (const c of labels) {
+    const tp = confusion[c]?.[c] ?? 0;
+    const fp = labels.reduce((n, e) => n + (e !== c ? confusion[e][c] : 0), 0);
+    const fn = labels.reduce((n, p) => n + (p !== c ? confusion[c][p] : 0), 0);
+    const precision = tp + fp ? tp / (tp + fp) : 0;
+    const recall = tp + fn ? tp / (tp + fn) : 0;
+    perCategory[c] = {
+      support: tp + fn,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(precision + recall ? 2 * precision * recall / (precision + recall) : 0)
+    };
+  }
+
+  const correct = rows.map((r, i) => predicted[i] === r.expectedCategory);
+  const withSub = rows.map((r, i) => [r, preds[i]]).filter(([r]) => r.expectedSubcategory !== null);
+
+  // Calibration: does a stated confidence of 0.8 mean right 80% of the time?
+  const buckets = [0, 0.2, 0.4, 0.6, 0.8].map(lo => ({ range: `${lo.toFixed(1)}–${(lo + 0.2).toFixed(1)}`, lo, n: 0, conf: 0, correct: 0 }));
+  preds.forEach((p, i) => {
+    const c = typeof p?.confidence === 'number' ? p.confidence : 0;
+    const b = buckets[Math.min(4, Math.floor(c / 0.2))];
+    b.n++; b.conf += c; b.correct += correct[i] ? 1 : 0;
+  });
+  const calibration = buckets.map(({ range, n, conf, correct: k }) => ({
+    range, n, meanConfidence: n ? round(conf / n) : null, accuracy: n ? round(k / n) : null
+  }));
+  const ece = buckets.reduce((s, b) => s + (b.n ? (b.n / rows.length) * Math.abs(b.correct / b.n - b.conf / b.n) : 0), 0);
+
+  const tally = (key) => preds.reduce((o, p) => { const k = p?.[key] ?? '(none)'; o[k] = (o[k] ?? 0) + 1; return o; }, {});
+
+  return {
+    n: rows.length,
+    accuracy: round(correct.filter(Boolean).length / (rows.length || 1)),
+    subcategoryAccuracy: withSub.length ? round(withSub.filter(([r, p]) => p?.subcategory === r.expectedSubcategory).length / withSub.length) : null,
+    perCategory,
+    confusion,
+    calibration,
+    ece: round(ece),
+    providers: tally('provider'),
+    validation: tally('validation'),
+    predictions: rows.map((r, i) => ({
+      id: r.id,
+      text: r.text,
+      expected: r.expectedCategory,
+      predicted: predicted[i],
+      subcategory: preds[i]?.subcategory ?? null,
+      confidence: preds[i]?.confidence ?? null,
+      provider: preds[i]?.provider ?? null,
+      appliedRules: preds[i]?.appliedRules ?? []
+    }))
+  };
+}
+
+function diff(prev, cur) {
+  if (!prev) return null;
+  const byId = new Map(prev.predictions.map(p => [p.id, p]));
+  const changed = cur.predictions
+    .filter(p => byId.has(p.id) && byId.get(p.id).predicted !== p.predicted)
+    .map(p => ({ id: p.id, text: p.text, expected: p.expected, before: byId.get(p.id).predicted, after: p.predicted }));
+  const f1 = {};
+  for (const c of new Set([...Object.keys(prev.perCategory), ...Object.keys(cur.perCategory)])) {
+    const d = (cur.perCategory[c]?.f1 ?? 0) - (prev.perCategory[c]?.f1 ?? 0);
+    if (Math.abs(d) > 1e-9) f1[c] = round(d);
+  }
+  return { accuracy: round(cur.accuracy - prev.accuracy), ece: round(cur.ece - prev.ece), f1, changed };
+}
+
+/* ---------- Report ---------- */
+const pad = (s, n) => String(s).padEnd(n);
+const lpad = (s, n) => String(s).padStart(n);
+const pct = (x) => (x === null ? '   –  ' : `${(x * 100).toFixed(1)}%`.padStart(6));
+
+function printRoute(route, m, d) {
+  console.log(`\n=== ${route} (${m.n} rows) ===`);
+  console.log(`accuracy ${pct(m.accuracy)}   subcategory ${pct(m.subcategoryAccuracy)}   ECE ${m.ece}`);
+  console.log(`providers ${JSON.stringify(m.providers)}   validation ${JSON.stringify(m.validation)}`);
+
+  console.log(`\n${pad('category', 14)}${lpad('support', 8)}${lpad('prec', 8)}${lpad('recall', 8)}${lpad('f1', 8)}`);
+  for (const [c, s] of Object.entries(m.perCategory)) {
+    console.log(`${pad(c, 14)}${lpad(s.support, 8)}${lpad(pct(s.precision), 8)}${lpad(pct(s.recall), 8)}${lpad(s.f1.toFixed(3), 8)}`);
+  }
+
+  const labels = Object.keys(m.confusion);
+  const w = Math.max(8, ...labels.map(l => l.length + 1));
+  console.log(`\nconfusion (rows = expected, cols = predicted)`);
+  console.log(pad('', w) + labels.map(l => lpad(l.slice(0, w - 1), w)).join(''));
+  for (const e of labels) console.log(pad(e, w) + labels.map(p => lpad(m.confusion[e][p] || '.', w)).join(''));
+
+  console.log(`\ncalibration`);
+  for (const b of m.calibration) console.log(`  ${b.range}  n=${lpad(b.n, 3)}  conf ${pct(b.meanConfidence)}  acc ${pct(b.accuracy)}`);
+
+  if (d) {
+    const sign = (x) => (x > 0 ? `+${x}` : `${x}`);
+    console.log(`\nvs previous run: accuracy ${sign(d.accuracy)}  ECE ${sign(d.ece)}  f1 ${JSON.stringify(d.f1)}`);
+    for (const c of d.changed) console.log(`  ${c.id} "${c.text}": ${c.before} → ${c.after} (expected ${c.expected})`);
+  }
+}
+
+/* ---------- Main ---------- */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rows = loadDataset(args.dataset);
+  if (!args.record && !fs.existsSync(args.fixtures)) {
+    throw new Error(`no recorded responses in ${path.relative(ROOT, args.fixtures)}; run "npm run eval -- --record" once with provider keys set`);
+  }
+  const prev = fs.existsSync(args.compare) ? JSON.parse(fs.readFileSync(args.compare, 'utf8')) : null;
+
+  const server = await startServer(args);
+  const result = { createdAt: new Date().toISOString(), dataset: path.relative(ROOT, args.dataset), mode: args.record ? 'record' : 'replay', routes: {} };
+  try {
+    for (const route of args.routes) {
+      if (route === 'classify') result.routes.classify = score(rows, await runClassify(server.base, rows));
+      else if (route === 'analyze') result.routes.analyze = score(rows, await runAnalyze(server.base, rows));
+      else throw new Error(`unknown route "${route}"`);
+    }
+  } finally {
+    server.stop();
+  }
+
+  for (const [route, m] of Object.entries(result.routes)) printRoute(route, m, diff(prev?.routes?.[route], m));
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+  console.log(`\nwrote ${path.relative(ROOT, args.out)}`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,110 @@
+// feedback_store.js (ESM) — per-user corrections persisted to a JSON file
+import fs from 'node:fs';
+import path from 'node:path';
+import { normalizeText } from './cache.js';
+
+/*
+ * File layout: { users: { [userId]: { [normalizedText]: entry } } }
+ * entry: { text, category, subcategory, from, count, updatedAt }
+ * The latest correction for a text wins; each user keeps at most `maxPerUser` entries (oldest dropped).
+ * User IDs and texts come from clients, so both levels are prototype-less objects: no key
+ * ("__proto__", "constructor") can reach or shadow Object.prototype.
+ */
+const dict = (o) => Object.assign(Object.create(null), o);
+
+export function createFeedbackStore({ file, maxPerUser = 500, flushMs = 500, log } = {}) {
+  let data = { users: dict() };
+  if (file && fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed.users === 'object') {
+        data = { users: dict(Object.fromEntries(Object.entries(parsed.users).map(([id, entries]) => [id, dict(entries)]))) };
+      }
+    } catch (e) {
+      log?.error('feedback_read_failed', { file, err: e });
+    }
+  }
+
+  // Debounced atomic write (tmp file + rename)
+  let timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log?.error('feedback_write_failed', { file, err: e });
+    }
+  };
+  const scheduleFlush = () => {
+    if (timer) return;
+    timer = setTimeout(flush, flushMs);
+    timer.unref?.();
+  };
+
+  const userEntries = (userId) => data.users[userId] ?? dict();
+  const sorted = (userId) => Object.values(userEntries(userId)).sort((a, b) => b.updatedAt - a.updatedAt);
+
+  return {
+    record(userId, { text, category, subcategory = null, from = null }) {
+      const entries = (data.users[userId] ??= dict());
+      const key = normalizeText(text);
+      const prev = entries[key];
+      entries[key] = {
+        text: String(text).trim(),
+        category,
+        subcategory,
+        from,
+        count: (prev?.count ?? 0) + 1,
+        updatedAt: Date.now()
+      };
+      const keys = Object.keys(entries);
+      if (keys.length > maxPerUser) {
+        keys.sort((a, b) => entries[a].updatedAt - entries[b].updatedAt)
+          .slice(0, keys.length - maxPerUser)
+          .forEach(k => delete entries[k]);
+      }
+      scheduleFlush();
+      return entries[key];
+    },
+
+    // Exact (normalized) text the user has corrected before → { category, subcategory } | null
+    lookup(userId, text) {
+      return userEntries(userId)[normalizeText(text)] ?? null;
+    },
+
+    // Learned phrases grouped by target category, most recent first
+    hintsFor(userId) {
+      const out = dict();
+      for (const e of sorted(userId)) (out[e.category] ??= []).push(e.text);
+      return out;
+    },
+
+    list(userId) {
+      return sorted(userId);
+    },
+
+    // Delete one text, or everything for the user when text is omitted; returns the number removed
+    remove(userId, text) {
+      const entries = data.users[userId];
+      if (!entries) return 0;
+      let removed = 0;
+      if (text === undefined) {
+        removed = Object.keys(entries).length;
+        delete data.users[userId];
+      } else {
+        const key = normalizeText(text);
+        if (entries[key]) { delete entries[key]; removed = 1; }
+        if (!Object.keys(entries).length) delete data.users[userId];
+      }
+      if (removed) scheduleFlush();
+      return removed;
+    },
+
+    flush
+  };
+}
@@ -0,0 +1,268 @@
+// jobs.js (ESM) — background batch jobs, one JSON file per job, resumed after a restart
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/*
+ * Three files per job in `dir`:
+ *   ${id}.json           { id, owner, status, total, processed, createdAt, updatedAt, startedAt, finishedAt,
+ *                          error, resumeAt, params }   // params: caller's settings (taxonomy, prompt version, …)
+ *   ${id}.notes.json     [{ id, text }], written once at creation
+ *   ${id}.results.jsonl  one line per finished page: [result, …] in note order, appended
+ * Only the small state file is rewritten as a job moves, so a 10,000-note job never rewrites its notes
+ * or the results so far.
+ * status: queued → running → succeeded | failed | cancelled; running → paused → running when
+ *   processPage throws JobPause (e.g. a token budget ran out) until `resumeAt`.
+ * Notes are processed page by page (pageSize); each page is appended before the next one starts, so a
+ * restart resumes a job at its first unfinished page. Jobs stored whole in ${id}.json (older versions)
+ * are split into the three files when loaded.
+ */
+export const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+
+// Thrown by processPage to put the job aside until resumeAt (epoch ms)
+export class JobPause extends Error {
+  constructor(resumeAt, reason) {
+    super(`job paused until ${new Date(resumeAt).toISOString()}: ${reason}`);
+    this.name = 'JobPause';
+    this.resumeAt = resumeAt;
+    this.reason = reason;
+  }
+}
+
+const FILE_RE = /^job_[A-Za-z0-9_-]+\.json$/;
+
+/**
+ * createJobQueue({ dir, processPage, pageSize, concurrency, retentionMs, pollMs, log })
+ * processPage(job, notes, signal) → results (same length and order as notes)
+ */
+export function createJobQueue({ dir, processPage, pageSize = 200, concurrency = 1, retentionMs = 72 * 3600 * 1000, pollMs = 1000, log, now = Date.now } = {}) {
+  const jobs = new Map();
+  const running = new Map(); // id → AbortController
+  let timer = null;
+  let stopping = false;
+  let lastPrune = 0;
+
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+  const notesOf = (id) => path.join(dir, `${id}.notes.json`);
+  const resultsOf = (id) => path.join(dir, `${id}.results.jsonl`);
+  const writeAtomic = (file, data) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  };
+
+  // State only; notes and results live in their own files
+  const writeState = (job) => {
+    const { notes: _notes, results: _results, ...state } = job;
+    try {
+      writeAtomic(fileOf(job.id), JSON.stringify(state));
+    } catch (e) {
+      log?.error('job_write_failed', { jobId: job.id, err: e });
+    }
+  };
+  const save = (job) => {
+    job.updatedAt = now();
+    writeState(job);
+  };
+  // A page that fails to append is simply redone after a restart
+  const appendPage = async (job, results) => {
+    try {
+      await fs.promises.appendFile(resultsOf(job.id), JSON.stringify(results) + '\n');
+    } catch (e) {
+      log?.error('job_write_failed', { jobId: job.id, err: e });
+    }
+  };
+  const remove = (id) => {
+    jobs.delete(id);
+    for (const file of [fileOf(id), notesOf(id), resultsOf(id)]) {
+      try { fs.rmSync(file, { force: true }); } catch (e) { log?.warn('job_delete_failed', { jobId: id, err: e }); }
+    }
+  };
+
+  // Finished pages in order; a line cut short by a crash (and anything after it) is dropped from the file
+  const readResults = (id) => {
+    const file = resultsOf(id);
+    if (!fs.existsSync(file)) return [];
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    const pages = [];
+    for (const line of lines) {
+      try { pages.push(JSON.parse(line)); } catch { break; }
+    }
+    if (pages.length < lines.length) fs.writeFileSync(file, pages.map(p => JSON.stringify(p) + '\n').join(''));
+    return pages.flat();
+  };
+
+  const load = () => {
+    if (!fs.existsSync(dir)) return;
+    for (const f of fs.readdirSync(dir).filter(f => FILE_RE.test(f))) {
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+        if (Array.isArray(job.notes)) {
+          // Stored whole by an older version: split it once
+          writeAtomic(notesOf(job.id), JSON.stringify(job.notes));
+          writeAtomic(resultsOf(job.id), job.results?.length ? JSON.stringify(job.results) + '\n' : '');
+          writeState(job);
+        } else {
+          job.notes = JSON.parse(fs.readFileSync(notesOf(job.id), 'utf8'));
+          job.results = readResults(job.id);
+        }
+        // The results file is the record of finished pages; the state may lag it by one page
+        job.results = job.results.slice(0, job.total);
+        job.processed = job.results.length;
+        // Interrupted mid-page: that page is simply done again
+        if (job.status === 'running') job.status = 'queued';
+        jobs.set(job.id, job);
+      } catch (e) {
+        log?.error('job_read_failed', { file: f, err: e });
+      }
+    }
+  };
+
+  const prune = () => {
+    const t = now();
+    if (t - lastPrune < 60000) return;
+    lastPrune = t;
+    for (const job of jobs.values()) if (FINISHED.has(job.status) && t - job.finishedAt > retentionMs) remove(job.id);
+  };
+
+  const finish = (job, status, error = null) => {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = now();
+    save(job);
+    log?.info('job_finished', { jobId: job.id, status, processed: job.processed, total: job.total, error: error ?? undefined });
+  };
+
+  async function run(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt ??= now();
+    job.resumeAt = null;
+    job.error = null;
+    save(job);
+    try {
+      while (job.processed < job.total) {
+        const start = job.processed;
+        const notes = job.notes.slice(start, start + pageSize);
+        const results = await processPage(job, notes, controller.signal);
+        if (controller.signal.aborted) return;
+        await appendPage(job, results); // kept even if the job is cancelled meanwhile, like in memory
+        job.results.push(...results);
+        job.processed = start + notes.length;
+        save(job);
+        if (controller.signal.aborted) return;
+      }
+      finish(job, 'succeeded');
+    } catch (e) {
+      if (controller.signal.aborted) return; // cancel() / stop() already settled the job's state
+      if (e instanceof JobPause) {
+        job.status = 'paused';
+        job.resumeAt = e.resumeAt;
+        job.error = e.reason;
+        save(job);
+        log?.info('job_paused', { jobId: job.id, cause: e.reason, resumeAt: new Date(e.resumeAt).toISOString() });
+        return;
+      }
+      log?.error('job_failed', { jobId: job.id, processed: job.processed, err: e });
+      finish(job, 'failed', 'job_failed');
+    } finally {
+      running.delete(job.id);
+      if (!stopping) setImmediate(tick);
+    }
+  }
+
+  // Oldest runnable job first
+  function tick() {
+    if (stopping) return;
+    prune();
+    const t = now();
+    const ready = [...jobs.values()]
+      .filter(j => !running.has(j.id) && (j.status === 'queued' || (j.status === 'paused' && j.resumeAt <= t)))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of ready) {
+      if (running.size >= concurrency) break;
+      run(job);
+    }
+  }
+
+  const summary = (job) => ({
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    resumeAt: job.status === 'paused' ? new Date(job.resumeAt).toISOString() : null,
+    error: job.error
+  });
+
+  return {
+    summary,
+
+    start() {
+      load();
+      timer = setInterval(tick, pollMs);
+      timer.unref?.();
+      setImmediate(tick);
+    },
+
+    // Stop taking work; in-flight pages are abandoned and redone on the next start
+    stop() {
+      stopping = true;
+      clearInterval(timer);
+      for (const c of running.values()) c.abort();
+    },
+
+    create({ owner, notes, params }) {
+      const t = now();
+      const job = {
+        id: `job_${crypto.randomBytes(12).toString('base64url')}`,
+        owner,
+        status: 'queued',
+        total: notes.length,
+        processed: 0,
+        createdAt: t,
+        updatedAt: t,
+        startedAt: null,
+        finishedAt: null,
+        resumeAt: null,
+        error: null,
+        params,
+        notes,
+        results: []
+      };
+      try {
+        writeAtomic(notesOf(job.id), JSON.stringify(notes));
+      } catch (e) {
+        log?.error('job_write_failed', { jobId: job.id, err: e });
+      }
+      jobs.set(job.id, job);
+      save(job);
+      setImmediate(tick);
+      return job;
+    },
+
+    get: (id) => jobs.get(id) ?? null,
+
+    list: (owner) => [...jobs.values()].filter(j => j.owner === owner).sort((a, b) => b.createdAt - a.createdAt),
+
+    // → the job (cancelled, or unchanged when it had already finished); null when unknown
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || FINISHED.has(job.status)) return job ?? null;
+      running.get(id)?.abort();
+      finish(job, 'cancelled');
+      return job;
+    },
+
+    counts() {
+      const out = { queued: 0, running: 0, paused: 0, succeeded: 0, failed: 0, cancelled: 0 };
+      for (const j of jobs.values()) out[j.status] = (out[j.status] ?? 0) + 1;
+      return out;
+    }
+  };
+}
@@ -0,0 +1,168 @@
+// language.js (ESM) — local script + language detection for short notes (no dictionaries, no dependencies)
+//
+// Script comes from Unicode script properties; the language within a script from small marker-word
+// lists. Result tags are BCP 47: "hi" (Hindi in Devanagari), "hi-Latn" (romanized Hindi / Hinglish),
+// "en", "ta", … A script subtag is only added when the text is not in the language's own script.
+
+/* ---------- Scripts ---------- */
+// ISO 15924 code → candidate languages, most common first. Han with kana is Japanese.
+const SCRIPTS = [
+  ['Latn', /\p{Script=Latin}/u, ['en', 'es', 'fr', 'it', 'pt', 'de', 'vi']],
+  ['Deva', /\p{Script=Devanagari}/u, ['hi', 'mr', 'ne']],
+  ['Beng', /\p{Script=Bengali}/u, ['bn', 'as']],
+  ['Guru', /\p{Script=Gurmukhi}/u, ['pa']],
+  ['Gujr', /\p{Script=Gujarati}/u, ['gu']],
+  ['Telu', /\p{Script=Telugu}/u, ['te']],
+  ['Taml', /\p{Script=Tamil}/u, ['ta']],
+  ['Knda', /\p{Script=Kannada}/u, ['kn']],
+  ['Mlym', /\p{Script=Malayalam}/u, ['ml']],
+  ['Orya', /\p{Script=Oriya}/u, ['or']],
+  ['Arab', /\p{Script=Arabic}/u, ['ur', 'ar', 'fa']],
+  ['Hani', /\p{Script=Han}/u, ['zh']],
+  ['Kana', /[\p{Script=Hiragana}\p{Script=Katakana}]/u, ['ja']],
+  ['Hang', /\p{Script=Hangul}/u, ['ko']],
+  ['Cyrl', /\p{Script=Cyrillic}/u, ['ru', 'uk']],
+  ['Grek', /\p{Script=Greek}/u, ['el']],
+  ['Hebr', /\p{Script=Hebrew}/u, ['he']],
+  ['Thai', /\p{Script=Thai}/u, ['th']]
+];
+const NATIVE_SCRIPT = Object.fromEntries(SCRIPTS.flatMap(([script, , langs]) => langs.map(l => [l, script])));
+NATIVE_SCRIPT.ja = 'Jpan';
+
+// Letters per script, most frequent first
+function scriptCounts(text) {
+  const counts = new Map();
+  for (const ch of String(text ?? '')) {
+    if (!/\p{L}/u.test(ch)) continue;
+    const hit = SCRIPTS.find(([, re]) => re.test(ch));
+    const script = hit ? hit[0] : 'Zyyy';
+    counts.set(script, (counts.get(script) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/* ---------- Markers ---------- */
+// Function words and everyday note words that are (nearly) unique to one language.
+// `chars`: letters that alone point at the language.
+const LATIN = {
+  en: { words: ['the', 'to', 'and', 'for', 'of', 'with', 'my', 'buy', 'get', 'call', 'pick', 'up', 'tomorrow', 'tonight', 'remind', 'me', 'at', 'on', 'watch', 'pay', 'book', 'order', 'milk', 'eggs', 'bread', 'meeting', 'mom', 'dad'] },
+  es: { words: ['el', 'la', 'los', 'las', 'del', 'que', 'y', 'para', 'con', 'comprar', 'llamar', 'mañana', 'recuérdame', 'leche', 'huevos', 'al', 'ver', 'pagar', 'cita'], chars: /[ñ¿¡]/ },
+  fr: { words: ['le', 'les', 'des', 'du', 'et', 'pour', 'avec', 'acheter', 'appeler', 'demain', 'rappelle', 'lait', 'œufs', 'au', 'aux', 'chez', 'rendez'], chars: /[œæîû]/ },
+  it: { words: ['il', 'lo', 'gli', 'di', 'per', 'con', 'comprare', 'chiamare', 'domani', 'ricordami', 'latte', 'uova', 'pane', 'della', 'alle'], chars: /[ìò]/ },
+  pt: { words: ['os', 'para', 'com', 'comprar', 'ligar', 'amanhã', 'não', 'leite', 'ovos', 'pão', 'lembrar'], chars: /[ãõ]/ },
+  de: { words: ['der', 'die', 'das', 'und', 'mit', 'für', 'kaufen', 'anrufen', 'morgen', 'milch', 'eier', 'brot', 'termin', 'zum', 'zur'], chars: /[äöüß]/ },
+  vi: { words: ['mua', 'gọi', 'và', 'cho', 'của', 'ngày', 'mai', 'sữa', 'trứng'], chars: /[ăđơư]|[ạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/ }
+};
+// Romanized Hindustani (Hindi/Urdu written in Latin letters, "Hinglish")
+const ROMANIZED = {
+  langs: ['hi', 'ur'],
+  words: ['hai', 'hain', 'nahi', 'nahin', 'aur', 'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'kal', 'parso', 'aaj', 'abhi', 'jaldi',
+    'karna', 'karo', 'karni', 'lena', 'lana', 'dena', 'dila', 'yaad', 'kharidna', 'kharido', 'wala', 'wali', 'bhai', 'didi', 'ji',
+    'subah', 'shaam', 'raat', 'baje', 'doodh', 'sabzi', 'aloo', 'pyaaz', 'chawal', 'atta', 'dahi', 'paise', 'ghar', 'dawai', 'bazaar', 'mandi']
+};
+// Devanagari: Marathi vs Hindi
+const DEVA = {
+  mr: ['आहे', 'आणि', 'नाही', 'करा', 'उद्या', 'च्या', 'ला', 'मग', 'घ्या', 'आण'],
+  hi: ['है', 'और', 'नहीं', 'का', 'की', 'के', 'को', 'कल', 'करना', 'लेना', 'फिर', 'में']
+};
+// Letters used by Urdu (and Persian) but not Arabic
+const URDU_CHARS = /[ٹڈڑںےہھ]/;
+const PERSIAN_CHARS = /[پچژگک]/;
+
+const words = (text) => String(text ?? '').normalize('NFC').toLowerCase().split(/[^\p{L}\p{M}']+/u).filter(Boolean);
+const base = (l) => String(l ?? '').trim().toLowerCase().split(/[-_]/)[0];
+
+// First of `candidates` the caller listed, else the first candidate
+const preferListed = (candidates, listed) => candidates.find(c => listed.includes(c)) ?? candidates[0];
+
+function scoreLatin(text, listed) {
+  const ws = words(text);
+  const scores = Object.entries(LATIN).map(([lang, m]) => [lang, ws.filter(w => m.words.includes(w)).length + (m.chars?.test(text.toLowerCase()) ? 2 : 0)]);
+  scores.push(['~rom', ws.filter(w => ROMANIZED.words.includes(w)).length]);
+  const isListed = (k) => (k === '~rom' ? ROMANIZED.langs.some(l => listed.includes(l)) : listed.includes(k));
+  // Ties go to the caller's languages, then to table order
+  scores.sort((a, b) => b[1] - a[1] || isListed(b[0]) - isListed(a[0]));
+  const [top, score] = scores[0];
+  if (score === 0) return { language: preferListed(SCRIPTS[0][2], listed), confident: false };
+  if (top === '~rom') return { language: preferListed(ROMANIZED.langs, listed), confident: true };
+  return { language: top, confident: score > 1 || scores[1][1] === 0 };
+}
+
+function pickInScript(script, text, listed) {
+  const candidates = SCRIPTS.find(([s]) => s === script)?.[2] ?? [];
+  if (script === 'Latn') return scoreLatin(text, listed);
+  if (script === 'Deva') {
+    const ws = words(text);
+    const mr = ws.filter(w => DEVA.mr.includes(w)).length;
+    const hi = ws.filter(w => DEVA.hi.includes(w)).length;
+    if (mr !== hi) return { language: mr > hi ? 'mr' : 'hi', confident: true };
+  }
+  if (script === 'Arab') {
+    if (URDU_CHARS.test(text)) return { language: 'ur', confident: true };
+    if (!PERSIAN_CHARS.test(text)) return { language: preferListed(['ar', 'ur'], listed), confident: false };
+  }
+  if (script === 'Hani' && /[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return { language: 'ja', confident: true };
+  return { language: preferListed(candidates, listed), confident: candidates.length === 1 };
+}
+
+/* ---------- API ---------- */
+/**
+ * detectLanguage(text, { languages }) → { tag, language, script, transliterated, confident, scripts }
+ *   tag            BCP 47 ("hi", "hi-Latn", "en"); null when the text has no letters
+ *   script         ISO 15924 code of the dominant script ("Latn", "Deva", …)
+ *   transliterated the language is written outside its own script (romanized Hindi, …)
+ *   confident      false when the language is a guess (no marker words, e.g. "cilantro" → "en")
+ *   scripts        every script with letters in the text, most frequent first
+ * languages: the caller's preferred languages; they win ties and ambiguous scripts.
+ */
+export function detectLanguage(text, { languages = [] } = {}) {
+  const counts = scriptCounts(text);
+  if (!counts.length || counts[0][0] === 'Zyyy') {
+    return { tag: null, language: null, script: counts[0]?.[0] ?? null, transliterated: false, confident: false, scripts: counts.map(c => c[0]) };
+  }
+  // Kana decides Japanese even where Han letters outnumber it
+  const script = counts.some(([s]) => s === 'Kana') && counts[0][0] === 'Hani' ? 'Kana' : counts[0][0];
+  const { language, confident } = pickInScript(script, String(text), languages.map(base));
+  const native = NATIVE_SCRIPT[language];
+  const transliterated = script === 'Latn' && native !== 'Latn';
+  return {
+    tag: transliterated ? `${language}-Latn` : language,
+    language,
+    script,
+    transliterated,
+    confident,
+    scripts: counts.map(c => c[0])
+  };
+}
+
+// "hi-Latn" → { language: 'hi', script: 'Latn' }; "hi" → { language: 'hi', script: 'Deva' }; null → {}
+export function parseLocale(tag) {
+  if (!tag) return {};
+  const [language, script] = String(tag).split('-');
+  return { language, script: script ?? NATIVE_SCRIPT[language] };
+}
+
+/**
+ * The caller's languages a prompt over these texts needs: each text's language, the languages
+ * of any other script mixed into it, and English (when listed) next to romanized text, which mixes it in.
+ * Languages the caller did not list are appended. No usable detection, or any guessed one
+ * ("paneer 200g", "tomate": no marker words) → `languages` unchanged.
+ */
+export function narrowLanguages(detections, languages = []) {
+  const listedCodes = languages.map(base);
+  const wanted = new Set();
+  for (const d of detections) {
+    if (!d?.language) continue;
+    if (!d.confident) return languages;
+    wanted.add(d.language);
+    if (d.transliterated && listedCodes.includes('en')) wanted.add('en');
+    for (const s of d.scripts.slice(1)) {
+      const candidates = SCRIPTS.find(([x]) => x === s)?.[2];
+      if (candidates) wanted.add(preferListed(candidates, listedCodes));
+    }
+  }
+  if (!wanted.size) return languages;
+  const listed = languages.filter(l => wanted.has(base(l)));
+  const extra = [...wanted].filter(w => !listedCodes.includes(w));
+  return [...listed, ...extra];
+}
@@ -0,0 +1,80 @@
+// logger.js (ESM) — one JSON object per log line, with users' note text redacted
+import crypto from 'node:crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_LEVELS = Object.keys(LEVELS);
+export const REDACT_MODES = ['hash', 'mask', 'none'];
+
+// Field names that can carry note text (or text derived from it); their values are redacted at any depth
+const SENSITIVE_KEYS = new Set(['text', 'texts', 'lines', 'entries', 'prompt', 'raw', 'body', 'hints', 'reason', 'entities']);
+const MAX_DEPTH = 6;
+
+/**
+ * mode: 'hash' → "[sha256:<12 hex> len=N]" (HMAC with `key`, so equal texts correlate without being readable)
+ *       'mask' → "[redacted len=N]"
+ *       'none' → text as-is (local dev only)
+ */
+export function createRedactor({ mode = 'hash', key } = {}) {
+  const secret = key || crypto.randomBytes(32);
+  const text = (s) => {
+    s = String(s);
+    if (mode === 'none') return s;
+    if (mode === 'mask') return `[redacted len=${s.length}]`;
+    return `[sha256:${crypto.createHmac('sha256', secret).update(s).digest('hex').slice(0, 12)} len=${s.length}]`;
+  };
+  const value = (v, depth = 0) => {
+    if (typeof v === 'string') return text(v);
+    if (!v || typeof v !== 'object' || depth > MAX_DEPTH) return v;
+    if (Array.isArray(v)) return v.map(x => value(x, depth + 1));
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, value(x, depth + 1)]));
+  };
+  return { mode, text, value };
+}
+
+const errorFields = (e) => ({
+  name: e?.name,
+  message: e?.message ?? String(e),
+  ...(e?.status !== undefined ? { status: e.status } : {}),
+  ...(e?.code !== undefined ? { code: e.code } : {})
+});
+
+/**
+ * createLogger({ level, redact, tap }) → { debug, info, warn, error, child, enabled }
+ * Each call is log.info('event_name', { ...fields }); an `err` field is reduced to name/message/status/code.
+ * child(fields) returns a logger that adds `fields` (e.g. requestId) to every line.
+ * tap(entry) receives every written entry (already redacted), e.g. to keep recent failures.
+ */
+export function createLogger({ level = 'info', redact = createRedactor(), base = {}, write, tap } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const out = write ?? ((lvl, line) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n'));
+
+  const scrub = (fields, depth = 0) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || depth > MAX_DEPTH) return fields;
+    const o = {};
+    for (const [k, v] of Object.entries(fields)) {
+      if (v === undefined) continue;
+      if (k === 'err') o.err = errorFields(v);
+      else if (SENSITIVE_KEYS.has(k)) o[k] = redact.value(v);
+      else if (Array.isArray(v)) o[k] = v.map(x => scrub(x, depth + 1));
+      else o[k] = scrub(v, depth + 1);
+    }
+    return o;
+  };
+
+  const emit = (lvl, msg, fields) => {
+    if (LEVELS[lvl] < min) return;
+    const entry = { ts: new Date().toISOString(), level: lvl, msg, ...base, ...scrub(fields) };
+    out(lvl, JSON.stringify(entry));
+    tap?.(entry);
+  };
+
+  return {
+    level,
+    enabled: (lvl) => LEVELS[lvl] >= min,
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+    child: (fields) => createLogger({ level, redact, base: { ...base, ...fields }, write, tap })
+  };
+}
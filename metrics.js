@@ -0,0 +1,112 @@
+// metrics.js (ESM) — in-process counters / histograms rendered in Prometheus text format
+//
+// Label values must come from bounded sets (route paths, provider names, rule IDs, known
+// categories); every distinct label combination is kept in memory for the life of the process.
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const fmtLabels = (labels) => {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+};
+const fmtNum = (n) => (n === Infinity ? '+Inf' : Number.isFinite(n) ? String(n) : 'NaN');
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Registry of metric families. Counters and gauges may pass `collect: () => [[labels, value], ...]`
+ * to be read at scrape time instead of being updated in place.
+ */
+export function createRegistry({ prefix = '' } = {}) {
+  const families = [];
+
+  const add = (type, name, help, collect) => {
+    const fam = { type, name: prefix + name, help, series: new Map(), collect };
+    families.push(fam);
+    return fam;
+  };
+  const seriesOf = (fam, labels, init) => {
+    const k = labelKey(labels);
+    let s = fam.series.get(k);
+    if (!s) fam.series.set(k, (s = { labels, ...init() }));
+    return s;
+  };
+
+  return {
+    counter(name, help, { collect } = {}) {
+      const fam = add('counter', name, help, collect);
+      return { inc: (labels = {}, n = 1) => { seriesOf(fam, labels, () => ({ value: 0 })).value += n; } };
+    },
+
+    gauge(name, help, { collect } = {}) {
+      const fam = add('gauge', name, help, collect);
+      return { set: (labels = {}, v) => { seriesOf(fam, labels, () => ({ value: 0 })).value = v; } };
+    },
+
+    histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+      const fam = add('histogram', name, help);
+      fam.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe(labels = {}, v) {
+          const s = seriesOf(fam, labels, () => ({ counts: fam.buckets.map(() => 0), sum: 0, count: 0 }));
+          fam.buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+          s.sum += v;
+          s.count++;
+        }
+      };
+    },
+
+    render() {
+      const out = [];
+      for (const fam of families) {
+        out.push(`# HELP ${fam.name} ${fam.help}`, `# TYPE ${fam.name} ${fam.type}`);
+        if (fam.collect) {
+          for (const [labels, v] of fam.collect()) out.push(`${fam.name}${fmtLabels(labels)} ${fmtNum(v)}`);
+          continue;
+        }
+        for (const s of fam.series.values()) {
+          if (fam.type !== 'histogram') {
+            out.push(`${fam.name}${fmtLabels(s.labels)} ${fmtNum(s.value)}`);
+            continue;
+          }
+          fam.buckets.forEach((b, i) => out.push(`${fam.name}_bucket${fmtLabels({ ...s.labels, le: fmtNum(b) })} ${s.counts[i]}`));
+          out.push(`${fam.name}_bucket${fmtLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          out.push(`${fam.name}_sum${fmtLabels(s.labels)} ${s.sum}`);
+          out.push(`${fam.name}_count${fmtLabels(s.labels)} ${s.count}`);
+        }
+      }
+      return out.join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Sliding window of call outcomes per key (provider name), for "recent error rate" in deep health.
+ */
+export function createRecentWindow({ windowMs = 5 * 60 * 1000, maxPerKey = 1000 } = {}) {
+  const calls = new Map(); // key → [{ t, ok, ms }]
+  const prune = (list, now) => {
+    while (list.length && (now - list[0].t > windowMs || list.length > maxPerKey)) list.shift();
+  };
+  return {
+    windowMs,
+    record(key, ok, ms) {
+      if (!calls.has(key)) calls.set(key, []);
+      const list = calls.get(key);
+      list.push({ t: Date.now(), ok, ms });
+      prune(list, Date.now());
+    },
+    // → { calls, errors, errorRate, avgMs } (errorRate/avgMs null when there were no calls)
+    summary(key) {
+      const list = calls.get(key) ?? [];
+      prune(list, Date.now());
+      const errors = list.filter(c => !c.ok).length;
+      return {
+        calls: list.length,
+        errors,
+        errorRate: list.length ? Math.round((errors / list.length) * 1000) / 1000 : null,
+        avgMs: list.length ? Math.round(list.reduce((s, c) => s + c.ms, 0) / list.length) : null
+      };
+    }
+  };
+}
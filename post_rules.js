@@ -0,0 +1,185 @@
+// post_rules.js (ESM) — declarative post-classification rules loaded from a JSON file (hot-reloaded)
+import fs from 'node:fs';
+
+/*
+ * File: { "rules": [ { id, description?, enabled?, when: {...}, then: {...}, stop? }, ... ] }
+ * Rules run in file order on every sanitized item; all `when` conditions must hold.
+ *
+ * when:
+ *   category       string | string[]        current category (case-insensitive)
+ *   suggestion     string | string[] | null suggestedNewCategory (case-insensitive); null = no suggestion
+ *   minConfidence  number                   confidence ≥ value
+ *   maxConfidence  number                   confidence < value
+ *   text           string                   regex tested against the item text (case-insensitive)
+ *   language       string | string[]        the item's detected language ("hi" also matches romanized Hindi),
+ *                                           else any of the request languages
+ *   script         string | string[]        the item's detected script, ISO 15924 ("Latn", "Deva", …)
+ * then:
+ *   category       string                   re-category (skipped unless it is one of the request categories)
+ *   subcategory    string | null            must exist under the resulting category (or null)
+ *   confidence     number                   set (0..1)
+ *   confidenceDelta number                  adjust, clamped to 0..1
+ *   suggestedNewCategory string | null      set the suggestion
+ *   appendReason   string                   appended to reason
+ * stop: true → no later rules run on this item once this one applied
+ */
+
+const WHEN_KEYS = ['category', 'suggestion', 'minConfidence', 'maxConfidence', 'text', 'language', 'script'];
+const THEN_KEYS = ['category', 'subcategory', 'confidence', 'confidenceDelta', 'suggestedNewCategory', 'appendReason'];
+
+const isStrOrList = (v) => typeof v === 'string' || (Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'string'));
+const isNum01 = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+const lc = (v) => [].concat(v).map(x => String(x).toLowerCase());
+
+/**
+ * Validate a parsed rules file. Returns a list of "rules[i].field: message" strings (empty when valid).
+ */
+export function validateRules(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.rules)) return ['root: expected { "rules": [...] }'];
+  const ids = new Set();
+  doc.rules.forEach((r, i) => {
+    const at = `rules[${i}]`;
+    if (!r || typeof r !== 'object') return errors.push(`${at}: expected an object`);
+    if (typeof r.id !== 'string' || !r.id.trim()) errors.push(`${at}.id: required string`);
+    else if (ids.has(r.id)) errors.push(`${at}.id: duplicate "${r.id}"`);
+    else ids.add(r.id);
+    if (r.enabled !== undefined && typeof r.enabled !== 'boolean') errors.push(`${at}.enabled: expected boolean`);
+    if (r.stop !== undefined && typeof r.stop !== 'boolean') errors.push(`${at}.stop: expected boolean`);
+
+    const w = r.when ?? {};
+    if (typeof w !== 'object') errors.push(`${at}.when: expected an object`);
+    for (const k of Object.keys(w)) if (!WHEN_KEYS.includes(k)) errors.push(`${at}.when.${k}: unknown condition`);
+    if (w.category !== undefined && !isStrOrList(w.category)) errors.push(`${at}.when.category: expected string or string[]`);
+    if (w.suggestion !== undefined && w.suggestion !== null && !isStrOrList(w.suggestion)) errors.push(`${at}.when.suggestion: expected string, string[] or null`);
+    for (const k of ['language', 'script']) {
+      if (w[k] !== undefined && !isStrOrList(w[k])) errors.push(`${at}.when.${k}: expected string or string[]`);
+    }
+    for (const k of ['minConfidence', 'maxConfidence']) {
+      if (w[k] !== undefined && !isNum01(w[k])) errors.push(`${at}.when.${k}: expected number 0..1`);
+    }
+    if (w.text !== undefined) {
+      try { new RegExp(w.text, 'iu'); } catch (e) { errors.push(`${at}.when.text: invalid regex (${e.message})`); }
+    }
+
+    const t = r.then;
+    if (!t || typeof t !== 'object' || !Object.keys(t).length) {
+      errors.push(`${at}.then: expected at least one action`);
+      return;
+    }
+    for (const k of Object.keys(t)) if (!THEN_KEYS.includes(k)) errors.push(`${at}.then.${k}: unknown action`);
+    if (t.category !== undefined && (typeof t.category !== 'string' || !t.category)) errors.push(`${at}.then.category: expected string`);
+    for (const k of ['subcategory', 'suggestedNewCategory']) {
+      if (t[k] !== undefined && t[k] !== null && typeof t[k] !== 'string') errors.push(`${at}.then.${k}: expected string or null`);
+    }
+    if (t.confidence !== undefined && !isNum01(t.confidence)) errors.push(`${at}.then.confidence: expected number 0..1`);
+    if (t.confidenceDelta !== undefined && (typeof t.confidenceDelta !== 'number' || Math.abs(t.confidenceDelta) > 1)) {
+      errors.push(`${at}.then.confidenceDelta: expected number -1..1`);
+    }
+    if (t.appendReason !== undefined && typeof t.appendReason !== 'string') errors.push(`${at}.then.appendReason: expected string`);
+  });
+  return errors;
+}
+
+function compile(rule) {
+  const w = rule.when ?? {};
+  return { ...rule, when: { ...w, re: w.text !== undefined ? new RegExp(w.text, 'iu') : null } };
+}
+
+function matches(when, x, { text, language, script, languages }) {
+  if (when.category !== undefined && !lc(when.category).includes(String(x.category).toLowerCase())) return false;
+  if (when.suggestion === null && x.suggestedNewCategory) return false;
+  if (when.suggestion && !lc(when.suggestion).includes(String(x.suggestedNewCategory ?? '').toLowerCase())) return false;
+  if (when.minConfidence !== undefined && !(x.confidence >= when.minConfidence)) return false;
+  if (when.maxConfidence !== undefined && !(x.confidence < when.maxConfidence)) return false;
+  if (when.re && !when.re.test(String(text ?? ''))) return false;
+  if (when.language !== undefined) {
+    const wanted = lc(when.language);
+    const have = language ? [language] : (languages ?? []);
+    if (!lc(have).some(l => wanted.includes(l))) return false;
+  }
+  if (when.script !== undefined && !(script && lc(when.script).includes(script.toLowerCase()))) return false;
+  return true;
+}
+
+function act(then, x, { categories, subcats }) {
+  if (then.category !== undefined) {
+    const c = categories.find(k => k.toLowerCase() === then.category.toLowerCase());
+    if (!c) return false;
+    if (c !== x.category) {
+      x.category = c;
+      x.subcategory = null;
+      x.alternativeCategory = x.alternativeCategory === c ? null : x.alternativeCategory;
+    }
+  }
+  if (then.subcategory !== undefined) {
+    const subs = subcats?.[x.category];
+    const s = then.subcategory === null ? null : (Array.isArray(subs) ? subs.find(k => k.toLowerCase() === then.subcategory.toLowerCase()) : undefined);
+    if (s !== undefined) x.subcategory = s ?? null;
+  }
+  if (then.confidence !== undefined) x.confidence = then.confidence;
+  if (then.confidenceDelta !== undefined) x.confidence = Math.max(0, Math.min(1, x.confidence + then.confidenceDelta));
+  if (then.suggestedNewCategory !== undefined) x.suggestedNewCategory = then.suggestedNewCategory;
+  if (then.appendReason) x.reason = (x.reason ? x.reason + ' ' : '') + then.appendReason;
+  return true;
+}
+
+/**
+ * Rule engine over `file`. An invalid file at startup throws; an invalid edit while running is
+ * logged and the previous rule set stays active.
+ */
+export function createRuleEngine({ file, watch = true, intervalMs = 2000, log } = {}) {
+  let state = { rules: [], version: 'none', loadedAt: null };
+
+  const load = () => {
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateRules(doc);
+    if (errors.length) {
+      const err = new Error(`invalid rules file ${file}:\n- ${errors.join('\n- ')}`);
+      err.errors = errors;
+      throw err;
+    }
+    const mtime = fs.statSync(file).mtimeMs;
+    state = {
+      rules: doc.rules.filter(r => r.enabled !== false).map(compile),
+      version: `${doc.version ?? 'v'}@${Math.round(mtime)}`,
+      loadedAt: new Date().toISOString()
+    };
+    return state;
+  };
+
+  if (file && fs.existsSync(file)) load();
+  else if (file) log?.warn('rules_missing', { file });
+
+  if (file && watch) {
+    fs.watchFile(file, { interval: intervalMs, persistent: false }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs) return;
+      try {
+        load();
+        log?.info('rules_reloaded', { file, rules: state.rules.length, version: state.version });
+      } catch (e) {
+        log?.error('rules_reload_failed', { file, version: state.version, err: e });
+      }
+    });
+  }
+
+  return {
+    get version() { return state.version; },
+    get rules() { return state.rules.map(({ id, description, when, then, stop }) => ({ id, description, when: { ...when, re: undefined }, then, stop })); },
+    reload: load,
+
+    // Mutates and returns x, recording applied rule IDs in x.appliedRules.
+    // ctx: { text, language?, script?, languages, categories, subcats, ruleIds? } — ruleIds (Set) limits which rules run
+    apply(x, ctx) {
+      x.appliedRules = [];
+      for (const r of state.rules) {
+        if (ctx.ruleIds && !ctx.ruleIds.has(r.id)) continue;
+        if (!matches(r.when, x, ctx)) continue;
+        if (!act(r.then, x, ctx)) continue;
+        x.appliedRules.push(r.id);
+        if (r.stop) break;
+      }
+      return x;
+    }
+  };
+}
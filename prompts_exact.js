@@ -1,14 +1,12 @@
-// prompts_exact.js (ESM)
+// prompts_exact.js (ESM) — versioned prompt templates (single source of truth) + per-request assignment
+import crypto from 'node:crypto';
 
 const pretty = (obj) => JSON.stringify(obj ?? {}, null, 2);
 
-export function buildClassifyPrompt({
-  text,
-  languages = [],
-  categories = [],
-  subcats = {},
-  hints = {}
-}) {
+/* ---------- Templates ---------- */
+// Never edit a published template in place: add `<kind>@v<N+1>` and route traffic to it.
+
+function classifyV1({ text, languages = [], categories = [], subcats = {}, hints = {} }) {
   return `
 /classify
 
@@ -64,18 +62,12 @@ ${text ?? ''}
 `.trim();
 }
 
-export function buildAnalyzePrompt({
-  // Accept either an array of lines OR a single concatenated text
-  lines,
-  text,
-  languages = [],
-  categories = [],
-  subcats = {},
-  hints = {}
-}) {
-  const joined = Array.isArray(lines)
-    ? lines.join('\n')
-    : String(text ?? '');
+// v2: every line carries an ID ("L3: …") that the model must echo.
+// lines: [{ id, text }] — plain strings get positional IDs (L1, L2, …); `text` is split into lines
+function analyzeV2({ lines, text, languages = [], categories = [], subcats = {}, hints = {} }) {
+  const joined = (Array.isArray(lines) ? lines : String(text ?? '').split(/\r?\n/).map(s => s.trim()).filter(Boolean))
+    .map((l, i) => (typeof l === 'string' ? `L${i + 1}: ${l}` : `${l.id}: ${l.text}`))
+    .join("\n");
   return `
 /analyze:
 
@@ -84,7 +76,8 @@ Return ONLY a single JSON object with this schema:
 {  
   "items": [  
     {  
-      "text": string,  
+      "id": string,                       // the line ID exactly as given (e.g. "L3")  
+      "text": string,                     // the line text without its ID prefix  
       "category": string,                 // must be one of CATEGORIES (case-insensitive match, but output must use provided casing)  
       "subcategory": string|null,         // only choose from SUBCATEGORIES_BY_CATEGORY[category] if present AND highly confident; else null  
       "confidence": number,               // 0.0..1.0  
@@ -131,11 +124,113 @@ INTERPRETATION RULES (language-aware, dynamic)
    - Prefer "Shopping" for non-food tangible items if "Groceries" doesn’t apply.  
 
 CONSTRAINTS:  
-- Category MUST be from CATEGORIES (use provided casing). If no fit, choose "Other".  
+- Category MUST be from CATEGORIES (use provided casing).  
 - Only output a subcategory if it already exists under the chosen category AND confidence ≥ 0.8; otherwise null.  
+- Each input line starts with its ID ("L3: ..."). Return exactly ONE item per input line and echo its "id".  
+- Never merge, split, reorder or skip lines.  
 - Output JSON only. No markdown or extra text.  
 
-TEXT TO CLASSIFY:
+TEXT TO CLASSIFY (one line per item, prefixed with its ID):
 ${joined}
 `.trim();
 }
+
+export const TEMPLATES = {
+  'classify@v1': classifyV1,
+  'analyze@v2': analyzeV2
+};
+
+// Newest version per kind (the default route when no PROMPT_<KIND> is configured)
+export const LATEST = { classify: 'v1', analyze: 'v2' };
+
+export const buildClassifyPrompt = (args) => TEMPLATES[`classify@${LATEST.classify}`](args);
+export const buildAnalyzePrompt = (args) => TEMPLATES[`analyze@${LATEST.analyze}`](args);
+
+// Repair round-trip: the original prompt + the model's invalid output + what failed validation
+export function buildRepairPrompt({ prompt, raw, errors }) {
+  return `${prompt}
+
+YOUR PREVIOUS OUTPUT:
+${String(raw ?? '').slice(0, 4000)}
+
+IT FAILED SCHEMA VALIDATION:
+${errors.slice(0, 20).map(e => `- ${e.path} ${e.message}`).join('\n')}
+
+Return the corrected JSON object only. Keep every valid value; fix only what is listed above.`.trim();
+}
+
+/* ---------- Assignment ---------- */
+// PROMPT_CLASSIFY / PROMPT_ANALYZE: "v1" or a weighted split "v1:90,v3:10".
+// PROMPT_<KIND>_<LANG>[_<SCRIPT>] (e.g. PROMPT_ANALYZE_HI_LATN): the same, for texts detected in that locale.
+function parseRoute(kind, spec, name = `PROMPT_${kind.toUpperCase()}`) {
+  const route = [];
+  for (const part of String(spec || LATEST[kind]).split(',').map(s => s.trim()).filter(Boolean)) {
+    const [v, w] = part.split(':');
+    const version = v.trim().replace(new RegExp(`^${kind}@`), '');
+    const weight = w === undefined ? 1 : Number(w);
+    if (!TEMPLATES[`${kind}@${version}`]) throw new Error(`${name}: unknown template ${kind}@${version}`);
+    if (!(weight >= 0)) throw new Error(`${name}: bad weight "${w}"`);
+    if (weight > 0) route.push({ version, weight });
+  }
+  if (!route.length) throw new Error(`${name}: no version with a positive weight`);
+  return route;
+}
+
+// { classify: { 'hi-latn': route, … }, analyze: { … } }; locale keys are lowercase
+function parseLocaleRoutes(env) {
+  const locales = { classify: {}, analyze: {} };
+  for (const [name, spec] of Object.entries(env)) {
+    const m = /^PROMPT_(CLASSIFY|ANALYZE)_([A-Z]{2,3})(?:_([A-Z]{4}))?$/.exec(name);
+    if (!m || !spec) continue;
+    const kind = m[1].toLowerCase();
+    locales[kind][[m[2], m[3]].filter(Boolean).join('-').toLowerCase()] = parseRoute(kind, spec, name);
+  }
+  return locales;
+}
+
+/**
+ * Per-request template assignment. assign(kind, { pin, identity }) → { id, build } or null when
+ * `pin` (e.g. "v3" or "classify@v3") names no template. Without a pin, identities are bucketed
+ * deterministically (sticky A/B); anonymous requests are split at random.
+ * forLocale(kind, { language, script }, { pin, identity }) → the locale route's template, or null when
+ * the request is pinned or no route matches ("hi-latn" first, then "hi").
+ */
+export function createPromptRouter(env = process.env) {
+  const routes = {
+    classify: parseRoute('classify', env.PROMPT_CLASSIFY),
+    analyze: parseRoute('analyze', env.PROMPT_ANALYZE)
+  };
+  const locales = parseLocaleRoutes(env);
+
+  const pick = (kind, identity, route = routes[kind]) => {
+    const total = route.reduce((n, r) => n + r.weight, 0);
+    const roll = identity
+      ? crypto.createHash('sha256').update(`${kind}:${identity}`).digest().readUInt32BE(0) / 2 ** 32 * total
+      : Math.random() * total;
+    let acc = 0;
+    for (const r of route) {
+      acc += r.weight;
+      if (roll < acc) return r.version;
+    }
+    return route[route.length - 1].version;
+  };
+
+  return {
+    routes,
+    locales,
+
+    assign(kind, { pin, identity } = {}) {
+      const version = pin ? String(pin).trim().replace(new RegExp(`^${kind}@`), '') : pick(kind, identity);
+      const id = `${kind}@${version}`;
+      return TEMPLATES[id] ? { id, build: TEMPLATES[id] } : null;
+    },
+
+    forLocale(kind, { language, script } = {}, { pin, identity } = {}) {
+      if (pin || !language) return null;
+      const key = [`${language}-${script}`.toLowerCase(), language.toLowerCase()].find(k => locales[kind][k]);
+      if (!key) return null;
+      const id = `${kind}@${pick(kind, identity, locales[kind][key])}`;
+      return { id, build: TEMPLATES[id] };
+    }
+  };
+}
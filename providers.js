@@ -0,0 +1,209 @@
+// providers.js (ESM) — provider registry + env-configured chain
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import OpenAI from 'openai';
+import { isFault, withRecording } from './recorder.js';
+import { withResilience } from './resilience.js';
+
+const envPrefix = (name) => name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+const envNumber = (v, d) => {
+  if (v === undefined || v === '') return d;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+const envJSON = (v) => {
+  if (!v) return {};
+  try {
+    const o = JSON.parse(v);
+    return o && typeof o === 'object' && !Array.isArray(o) ? o : {};
+  } catch { return {}; }
+};
+
+const envBool = (v, d) => (v === undefined || v === '' ? d : !['0', 'false', 'no', 'off'].includes(String(v).toLowerCase()));
+
+// Temperature: unset → provider default we always used (0); "none" → omit the field.
+const envTemperature = (v) => (v === 'none' ? undefined : envNumber(v, 0));
+
+// Shared settings every provider reads from <PREFIX>_MODEL / _TIMEOUT_MS / _TEMPERATURE / _PARAMS / _STRUCTURED,
+// plus the resilience.js policy: _RETRIES / _RETRY_BASE_MS / _RETRY_MAX_MS / _BREAKER_THRESHOLD / _BREAKER_COOLDOWN_MS
+function commonSettings(name, env, defaultModel, { structured = true } = {}) {
+  const p = envPrefix(name);
+  return {
+    model: env[`${p}_MODEL`] || defaultModel,
+    timeoutMs: envNumber(env[`${p}_TIMEOUT_MS`], 20000),
+    temperature: envTemperature(env[`${p}_TEMPERATURE`]),
+    params: envJSON(env[`${p}_PARAMS`]),
+    structured: envBool(env[`${p}_STRUCTURED`], structured),
+    retries: Math.max(0, envNumber(env[`${p}_RETRIES`], 2)),
+    retryBaseMs: envNumber(env[`${p}_RETRY_BASE_MS`], 250),
+    retryMaxMs: envNumber(env[`${p}_RETRY_MAX_MS`], 4000),
+    breakerThreshold: Math.max(0, envNumber(env[`${p}_BREAKER_THRESHOLD`], 5)),
+    breakerCooldownMs: envNumber(env[`${p}_BREAKER_COOLDOWN_MS`], 30000)
+  };
+}
+
+/* ---------- Structured output schemas ---------- */
+// Neither strict OpenAI schemas nor Gemini's responseSchema accept numeric bounds; we still validate them locally.
+function withoutBounds(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const { minimum, maximum, ...rest } = schema;
+  if (rest.properties) rest.properties = Object.fromEntries(Object.entries(rest.properties).map(([k, v]) => [k, withoutBounds(v)]));
+  if (rest.items) rest.items = withoutBounds(rest.items);
+  return rest;
+}
+
+// JSON schema → Gemini responseSchema (OpenAPI subset: nullable instead of type unions, no additionalProperties)
+function toGeminiSchema(schema) {
+  const types = [].concat(schema.type ?? []);
+  const out = { type: types.find(t => t !== 'null') };
+  if (types.includes('null')) out.nullable = true;
+  if (schema.enum) {
+    out.format = 'enum';
+    out.enum = schema.enum.filter(v => v !== null);
+  }
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    out.required = schema.required;
+  }
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  return out;
+}
+
+function openaiLike(name, client, cfg) {
+  return {
+    name,
+    ...cfg,
+    async generate(prompt, { signal, schema, onUsage } = {}) {
+      const body = {
+        model: cfg.model,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: schema && cfg.structured
+          ? { type: 'json_schema', json_schema: { name: schema.name, strict: true, schema: withoutBounds(schema.schema) } }
+          : { type: 'json_object' },
+        ...cfg.params
+      };
+      if (cfg.temperature !== undefined) body.temperature = cfg.temperature;
+      const r = await client.chat.completions.create(body, { signal });
+      if (r?.usage) onUsage?.({ input: r.usage.prompt_tokens ?? 0, output: r.usage.completion_tokens ?? 0 });
+      return r?.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+/* ---------- Registry ---------- */
+// Each factory returns a provider or null when it is not configured.
+const REGISTRY = {
+  gemini(env) {
+    if (!env.GEMINI_API_KEY) return null;
+    const cfg = commonSettings('gemini', env, 'gemini-2.5-flash-lite');
+    const genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
+    return {
+      name: 'gemini',
+      ...cfg,
+      async generate(prompt, { signal, schema, onUsage } = {}) {
+        const generationConfig = { responseMimeType: 'application/json', ...cfg.params };
+        if (schema && cfg.structured) generationConfig.responseSchema = toGeminiSchema(withoutBounds(schema.schema));
+        if (cfg.temperature !== undefined) generationConfig.temperature = cfg.temperature;
+        const model = genAI.getGenerativeModel({ model: cfg.model });
+        const r = await model.generateContent({
+          contents: [{ role: 'user', parts: [{ text: prompt }]}],
+          generationConfig
+        }, { signal });
+        const u = r?.response?.usageMetadata;
+        if (u) onUsage?.({ input: u.promptTokenCount ?? 0, output: u.candidatesTokenCount ?? 0 });
+        return r?.response?.text?.() ?? r?.response?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+      }
+    };
+  },
+
+  openai(env) {
+    if (!env.OPENAI_API_KEY) return null;
+    const cfg = commonSettings('openai', env, 'gpt-5-nano');
+    return openaiLike('openai', new OpenAI({ apiKey: env.OPENAI_API_KEY, maxRetries: 0 }), cfg);
+  },
+
+  // Any server speaking the OpenAI chat-completions API (local mock, vLLM, Ollama, …)
+  'openai-compat'(env) {
+    if (!env.OPENAI_COMPAT_BASE_URL) return null;
+    // Plenty of compatible servers lack json_schema support, so structured output is opt-in here
+    const cfg = commonSettings('openai-compat', env, 'local-model', { structured: false });
+    const client = new OpenAI({
+      baseURL: env.OPENAI_COMPAT_BASE_URL,
+      apiKey: env.OPENAI_COMPAT_API_KEY || 'not-needed',
+      maxRetries: 0
+    });
+    return openaiLike('openai-compat', client, cfg);
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(REGISTRY);
+
+// env with a different chain and/or models ({ chain: "gemini,openai", models: { gemini: "…" } }), for buildProviderChain
+export function providerEnv(env, { chain, models = {} } = {}) {
+  const out = { ...env };
+  if (chain) out.PROVIDER_CHAIN = chain;
+  for (const [name, model] of Object.entries(models)) out[`${envPrefix(name)}_MODEL`] = model;
+  return out;
+}
+
+// Replay never reaches a vendor, so listed providers need no real credentials
+const REPLAY_PLACEHOLDERS = {
+  GEMINI_API_KEY: 'replay',
+  OPENAI_API_KEY: 'replay',
+  OPENAI_COMPAT_BASE_URL: 'http://replay.invalid/v1'
+};
+
+// PROVIDER_FAULTS="gemini:timeout,openai:429" → { gemini: 'timeout', openai: '429' }
+function parseFaults(v) {
+  const out = {};
+  for (const part of String(v || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, fault] = part.split(':').map(s => s?.trim().toLowerCase());
+    if (!REGISTRY[name] || !isFault(fault)) {
+      throw new Error(`PROVIDER_FAULTS entry "${part}" must be <provider>:<timeout|malformed|empty|4xx|5xx>`);
+    }
+    out[name] = fault;
+  }
+  return out;
+}
+
+/**
+ * Build the ordered provider chain from PROVIDER_CHAIN (default "gemini,openai").
+ * Unknown or unconfigured entries are skipped with a warning.
+ * PROVIDER_MODE=record|replay wraps every provider with fixture recording (PROVIDER_FIXTURES_DIR);
+ * in replay, PROVIDER_FAULTS makes the named providers fail instead of answering.
+ * Every provider is then wrapped by withResilience (timeout, retries, circuit breaker); `hooks`
+ * ({ onRetry, onStateChange }) are passed through to it. `log` (logger.js) gets the setup warnings.
+ */
+export function buildProviderChain(env = process.env, hooks = {}, log) {
+  const mode = String(env.PROVIDER_MODE || 'live').toLowerCase();
+  if (!['live', 'record', 'replay'].includes(mode)) throw new Error(`PROVIDER_MODE must be live, record or replay (got "${mode}")`);
+  const dir = env.PROVIDER_FIXTURES_DIR || './fixtures/providers';
+  const faults = parseFaults(env.PROVIDER_FAULTS);
+  if (Object.keys(faults).length && mode !== 'replay') log?.warn('provider_faults_ignored', { mode, providers: Object.keys(faults) });
+  if (mode === 'replay') {
+    env = { ...env };
+    for (const [k, v] of Object.entries(REPLAY_PLACEHOLDERS)) env[k] ||= v;
+  }
+
+  const names = String(env.PROVIDER_CHAIN || 'gemini,openai')
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  const chain = [];
+  for (const name of names) {
+    const factory = REGISTRY[name];
+    if (!factory) {
+      log?.warn('provider_unknown', { provider: name, known: PROVIDER_NAMES });
+      continue;
+    }
+    if (chain.some(p => p.name === name)) continue;
+    const p = factory(env);
+    if (p) {
+      const inner = mode === 'live' ? p : withRecording(p, { mode, dir, fault: mode === 'replay' ? faults[name] : null });
+      const { timeoutMs, retries, retryBaseMs, retryMaxMs, breakerThreshold, breakerCooldownMs } = p;
+      chain.push(withResilience(inner, { timeoutMs, retries, retryBaseMs, retryMaxMs, breakerThreshold, breakerCooldownMs, ...hooks }));
+    }
+    else log?.warn('provider_unconfigured', { provider: name });
+  }
+  return chain;
+}
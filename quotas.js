@@ -0,0 +1,143 @@
+// quotas.js (ESM) — per-identity request limits and daily/monthly token budgets
+import fs from 'node:fs';
+import path from 'node:path';
+
+/*
+ * Requests: fixed one-minute windows per identity and route, in memory.
+ * Tokens: input + output tokens reported by providers, per identity, per UTC day and UTC month,
+ *   persisted to `file`: { users: { [identity]: { day, dayTokens, month, monthTokens } } }
+ * A limit of 0 means unlimited. A request already in flight may overshoot a token budget;
+ * the next request is refused. check(), checkTokens() and usage() take the caller's limits ({ requestsPerMin,
+ * tokensPerDay, tokensPerMonth }, e.g. from a tenant profile); without them the constructor's apply.
+ * Identities come from clients, so `users` has no prototype: "__proto__" is just another key.
+ */
+const MINUTE = 60 * 1000;
+
+const dayKey = (t) => new Date(t).toISOString().slice(0, 10);
+const monthKey = (t) => new Date(t).toISOString().slice(0, 7);
+const nextDay = (t) => { const d = new Date(t); return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1); };
+const nextMonth = (t) => { const d = new Date(t); return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1); };
+
+const status = (limit, used, resetMs) => ({
+  limit: limit || null,
+  used,
+  remaining: limit ? Math.max(0, limit - used) : null,
+  resetAt: new Date(resetMs).toISOString()
+});
+
+export function createQuotas({ file, requestsPerMin = {}, tokensPerDay = 0, tokensPerMonth = 0, flushMs = 1000, log, now = Date.now } = {}) {
+  let data = { users: Object.create(null) };
+  if (file && fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed.users === 'object') data = { users: Object.assign(Object.create(null), parsed.users) };
+    } catch (e) {
+      log?.error('quotas_read_failed', { file, err: e });
+    }
+  }
+
+  // Debounced atomic write (tmp file + rename); identities idle since before this month are dropped
+  let timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!file) return;
+    const month = monthKey(now());
+    for (const [id, u] of Object.entries(data.users)) if (u.month !== month) delete data.users[id];
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log?.error('quotas_write_failed', { file, err: e });
+    }
+  };
+  const scheduleFlush = () => {
+    if (timer) return;
+    timer = setTimeout(flush, flushMs);
+    timer.unref?.();
+  };
+
+  // Token counters for the current day/month (stale periods read as 0)
+  const tokens = (id, t = now()) => {
+    const u = data.users[id];
+    return {
+      day: u?.day === dayKey(t) ? u.dayTokens : 0,
+      month: u?.month === monthKey(t) ? u.monthTokens : 0
+    };
+  };
+
+  const windows = new Map(); // `${route}\0${id}` → { start, count }
+  const windowOf = (route, id, t) => {
+    const k = `${route}\0${id}`;
+    let w = windows.get(k);
+    if (!w || t - w.start >= MINUTE) {
+      if (windows.size > 10000) for (const [key, x] of windows) if (t - x.start >= MINUTE) windows.delete(key);
+      windows.set(k, (w = { start: t, count: 0 }));
+    }
+    return w;
+  };
+
+  const defaults = { requestsPerMin, tokensPerDay, tokensPerMonth };
+
+  const over = (quota, limit, n, resetMs, t) => ({
+    quota, limit, used: n, resetAt: new Date(resetMs).toISOString(), retryAfterSec: Math.max(1, Math.ceil((resetMs - t) / 1000))
+  });
+  const tokenBudget = (id, { tokensPerDay = 0, tokensPerMonth = 0 }, t) => {
+    const used = tokens(id, t);
+    if (tokensPerMonth && used.month >= tokensPerMonth) return over('tokens_per_month', tokensPerMonth, used.month, nextMonth(t), t);
+    if (tokensPerDay && used.day >= tokensPerDay) return over('tokens_per_day', tokensPerDay, used.day, nextDay(t), t);
+    return null;
+  };
+
+  return {
+    limits: defaults,
+
+    /**
+     * Count one request for `route` unless a limit is exhausted.
+     * → null when allowed, else { quota, limit, used, resetAt, retryAfterSec }
+     */
+    check(id, route, limits = defaults) {
+      const t = now();
+      const spent = tokenBudget(id, limits, t);
+      if (spent) return spent;
+      const limit = limits.requestsPerMin?.[route] || 0;
+      const w = windowOf(route, id, t);
+      if (limit && w.count >= limit) return over(`${route}_per_minute`, limit, w.count, w.start + MINUTE, t);
+      w.count++;
+      return null;
+    },
+
+    // The token budgets alone, counting nothing (background work between requests) → null | as check()
+    checkTokens: (id, limits = defaults) => tokenBudget(id, limits, now()),
+
+    addTokens(id, n) {
+      if (!id || !(n > 0)) return;
+      const t = now();
+      const cur = tokens(id, t);
+      data.users[id] = { day: dayKey(t), dayTokens: cur.day + n, month: monthKey(t), monthTokens: cur.month + n };
+      scheduleFlush();
+    },
+
+    usage(id, { requestsPerMin = {}, tokensPerDay = 0, tokensPerMonth = 0 } = defaults) {
+      const t = now();
+      const used = tokens(id, t);
+      const requests = {};
+      for (const route of Object.keys(requestsPerMin)) {
+        const w = windows.get(`${route}\0${id}`);
+        const live = w && t - w.start < MINUTE;
+        requests[route] = { ...status(requestsPerMin[route], live ? w.count : 0, live ? w.start + MINUTE : t + MINUTE), window: 'minute' };
+      }
+      return {
+        requests,
+        tokens: {
+          day: status(tokensPerDay, used.day, nextDay(t)),
+          month: status(tokensPerMonth, used.month, nextMonth(t))
+        }
+      };
+    },
+
+    flush
+  };
+}
@@ -0,0 +1,101 @@
+// recorder.js (ESM) — record/replay of raw provider responses as fixture files, plus injected faults
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Everything that changes a provider's answer goes into the key
+export function fixtureKey(p, prompt, schema) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    provider: p.name,
+    model: p.model,
+    temperature: p.temperature ?? null,
+    params: p.params ?? {},
+    structured: !!(schema && p.structured),
+    schema: schema && p.structured ? schema : null,
+    prompt
+  })).digest('hex').slice(0, 32);
+}
+
+export class FixtureMissError extends Error {
+  constructor(p, key) {
+    super(`no recorded response for ${p.name}:${p.model} (fixture ${key})`);
+    this.name = 'FixtureMissError';
+    this.key = key;
+  }
+}
+
+/* ---------- Faults ---------- */
+// "timeout" | "malformed" | "empty" | an HTTP status such as "429" or "503"
+export const isFault = (f) => ['timeout', 'malformed', 'empty'].includes(f) || /^[45]\d\d$/.test(String(f));
+
+// Shaped like the SDK errors (status on HTTP failures) so callers can't tell them apart
+export class ProviderFaultError extends Error {
+  constructor(p, fault) {
+    const status = /^\d+$/.test(String(fault)) ? Number(fault) : undefined;
+    super(status ? `${status} injected error from ${p.name}` : `${p.name} request timed out (injected)`);
+    this.name = 'ProviderFaultError';
+    this.status = status;
+    if (fault === 'timeout') this.code = 'ETIMEDOUT';
+    this.fault = String(fault);
+  }
+}
+
+const MALFORMED = '{"category": "Other", "confidence": 0.';
+
+// Timeouts wait out the provider's own timeoutMs so cancellation and fallback behave as they would live
+function inject(p, fault, signal) {
+  if (fault === 'malformed') return MALFORMED;
+  if (fault === 'empty') return '';
+  if (fault !== 'timeout') throw new ProviderFaultError(p, fault);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(new ProviderFaultError(p, 'timeout'));
+    }, p.timeoutMs || 0);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wrap a provider so generate() records to / replays from `${dir}/<key>.json`.
+ * mode: 'record' (call the provider, store its raw text) | 'replay' (serve stored text only; a miss throws FixtureMissError)
+ * fault: replay only — every call fails this way instead of reading a fixture. A fixture may also
+ * carry its own { "fault": ... } in place of "raw".
+ */
+export function withRecording(p, { mode, dir, fault = null }) {
+  return {
+    ...p,
+    async generate(prompt, opts = {}) {
+      const key = fixtureKey(p, prompt, opts.schema);
+      const file = path.join(dir, `${key}.json`);
+      if (mode === 'replay') {
+        opts.signal?.throwIfAborted();
+        if (fault) return inject(p, fault, opts.signal);
+        if (!fs.existsSync(file)) throw new FixtureMissError(p, key);
+        const fx = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (fx.fault !== undefined) {
+          if (!isFault(String(fx.fault))) throw new Error(`fixture ${key}: unknown fault "${fx.fault}"`);
+          return inject(p, String(fx.fault), opts.signal);
+        }
+        if (fx.usage) opts.onUsage?.(fx.usage);
+        return fx.raw;
+      }
+      let usage = null;
+      const raw = await p.generate(prompt, { ...opts, onUsage: (u) => { usage = u; opts.onUsage?.(u); } });
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        provider: p.name,
+        model: p.model,
+        temperature: p.temperature ?? null,
+        params: p.params ?? {},
+        schema: opts.schema && p.structured ? opts.schema.name : null,
+        recordedAt: new Date().toISOString(),
+        prompt,
+        raw,
+        usage
+      }, null, 2));
+      return raw;
+    }
+  };
+}
@@ -0,0 +1,185 @@
+// resilience.js (ESM) — per-provider timeout, retries with jittered backoff, circuit breaker
+//
+// withResilience(p, cfg) returns a provider whose generate():
+//   1. fails fast with CircuitOpenError while p's breaker is open (no request is made)
+//   2. aborts each attempt after cfg.timeoutMs (AbortSignal), raising ProviderTimeoutError
+//   3. retries timeouts, 429, 5xx and connection errors up to cfg.retries times,
+//      sleeping a random 0..min(retryMaxMs, retryBaseMs·2^n) between attempts (Retry-After wins when longer)
+//   4. reports the call's final outcome to the breaker: retryable failures count, other errors
+//      (bad request, auth, unparseable output) say nothing about the provider being down
+// A caller's own abort is never retried and never counted.
+
+export class CircuitOpenError extends Error {
+  constructor(p, retryAt) {
+    super(`${p.name} circuit open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'circuit_open';
+    this.retryAt = retryAt;
+  }
+}
+
+export class ProviderTimeoutError extends Error {
+  constructor(p, ms) {
+    super(`${p.name} did not answer within ${ms}ms`);
+    this.name = 'ProviderTimeoutError';
+    this.code = 'provider_timeout';
+  }
+}
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+export function isRetryable(e) {
+  if (e instanceof ProviderTimeoutError) return true;
+  const status = Number(e?.status);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (status) return false;
+  return e?.name === 'APIConnectionError' || e?.name === 'APIConnectionTimeoutError' ||
+    NETWORK_CODES.has(e?.code) || NETWORK_CODES.has(e?.cause?.code) || /fetch failed/i.test(e?.message ?? '');
+}
+
+// Retry-After in seconds (or an HTTP date) from SDK errors that expose response headers
+function retryAfterMs(e) {
+  const h = e?.headers;
+  const v = typeof h?.get === 'function' ? h.get('retry-after') : h?.['retry-after'];
+  if (v === undefined || v === null || v === '') return 0;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+  const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/* ---------- Circuit breaker ---------- */
+/**
+ * closed → (threshold consecutive failures) → open → (cooldownMs) → half_open: one trial call;
+ * its success closes the breaker, its failure re-opens it for another cooldown.
+ * threshold 0 disables the breaker.
+ */
+export function createBreaker({ threshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let opens = 0;
+  let lastError = null;
+
+  const refresh = () => {
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+    return state;
+  };
+  const open = () => {
+    state = 'open';
+    openedAt = now();
+    opens++;
+  };
+
+  return {
+    get state() { return refresh(); },
+    // → true when a call may go out (in half_open, only the first caller gets through)
+    allow() {
+      if (!threshold) return true;
+      refresh();
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !trialInFlight) return (trialInFlight = true);
+      return false;
+    },
+    retryAt: () => (openedAt ?? now()) + cooldownMs,
+    success() {
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+    failure(e) {
+      lastError = e?.message ?? String(e);
+      if (!threshold) return;
+      failures++;
+      trialInFlight = false;
+      if (state === 'half_open' || failures >= threshold) open();
+    },
+    // A call that ended without a verdict (caller aborted, non-retryable error) frees the half-open trial
+    release() { trialInFlight = false; },
+    snapshot() {
+      refresh();
+      return {
+        state,
+        consecutiveFailures: failures,
+        threshold,
+        cooldownMs,
+        openedAt: openedAt && state !== 'closed' ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null,
+        opens,
+        lastError
+      };
+    }
+  };
+}
+
+/* ---------- Wrapper ---------- */
+/**
+ * cfg: { timeoutMs, retries, retryBaseMs, retryMaxMs, breakerThreshold, breakerCooldownMs }
+ * onRetry({ provider, attempt, delayMs, err }) and onStateChange({ provider, from, to }) are for logs/metrics.
+ */
+export function withResilience(p, { timeoutMs = 0, retries = 0, retryBaseMs = 250, retryMaxMs = 4000, breakerThreshold = 5, breakerCooldownMs = 30000, onRetry, onStateChange } = {}) {
+  const breaker = createBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs });
+  const transition = (fn) => {
+    const from = breaker.state;
+    fn();
+    const to = breaker.state;
+    if (from !== to) onStateChange?.({ provider: p.name, from, to });
+  };
+
+  const attempt = async (prompt, opts) => {
+    if (!timeoutMs) return p.generate(prompt, opts);
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const signal = opts.signal ? AbortSignal.any([opts.signal, timeout]) : timeout;
+    try {
+      return await p.generate(prompt, { ...opts, signal });
+    } catch (e) {
+      if (timeout.aborted && !opts.signal?.aborted) throw new ProviderTimeoutError(p, timeoutMs);
+      throw e;
+    }
+  };
+
+  return {
+    ...p,
+    breaker,
+    retries,
+    async generate(prompt, opts = {}) {
+      if (!breaker.allow()) throw new CircuitOpenError(p, breaker.retryAt());
+      for (let n = 0; ; n++) {
+        try {
+          const out = await attempt(prompt, opts);
+          transition(() => breaker.success());
+          return out;
+        } catch (e) {
+          if (opts.signal?.aborted || !isRetryable(e)) {
+            breaker.release();
+            throw e;
+          }
+          if (n >= retries) {
+            transition(() => breaker.failure(e));
+            throw e;
+          }
+          const backoff = Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** n);
+          const delayMs = Math.round(Math.min(retryMaxMs, Math.max(backoff, retryAfterMs(e))));
+          onRetry?.({ provider: p.name, attempt: n + 1, delayMs, err: e, log: opts.log });
+          try {
+            await sleep(delayMs, opts.signal);
+          } catch (abort) {
+            breaker.release();
+            throw abort;
+          }
+        }
+      }
+    }
+  };
+}
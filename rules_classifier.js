@@ -0,0 +1,101 @@
+// rules_classifier.js (ESM) — deterministic offline classifier (last resort when every provider fails)
+// Mirrors the INTERPRETATION RULES in the classify/analyze prompts with plain keyword/regex checks.
+
+const norm = (s) => ` ${String(s ?? '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+const key = (s) => String(s ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+const hasPhrase = (n, phrases) => phrases.find(p => n.includes(norm(p)));
+
+const REMINDER_PHRASES = ['remind me', 'set a reminder', 'reminder to', 'reminder', 'recuérdame', 'recordatorio', 'yaad dila', 'rappelle moi', 'ricordami'];
+
+const TIME_PATTERNS = [
+  /\b\d{1,2}(:\d{2})?\s?(am|pm)\b/,
+  /\b\d{1,2}:\d{2}\b/,
+  /\b(at|by|before|after|around)\s+\d{1,2}\b/,
+  /\b(mon|tues|wednes|thurs|fri|satur|sun)day\b/,
+  /\b(today|tonight|tomorrow|tmrw|tmr|noon|midnight|weekend)\b/,
+  /\b(next|this)\s+(week|month|year|morning|afternoon|evening)\b/,
+  /\bin\s+\d+\s*(min|mins|minutes?|hours?|hrs?|days?|weeks?)\b/,
+  /\b\d{1,2}[/.-]\d{1,2}([/.-]\d{2,4})?\b/,
+  /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b/,
+  /\b\d{1,2}(st|nd|rd|th)?\s+(of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\b/,
+  /\b(kal|parso|mañana|demain|domani)\b/
+];
+
+const QUANTITY_PATTERNS = [
+  /\bx\s?\d+\b/,
+  /\b\d+\s?x\b/,
+  /\b\d+(\.\d+)?\s?(kg|kgs|g|gm|gms|grams?|lbs?|oz|l|ltr|litres?|liters?|ml|dozen|packs?|packets?|bags?|boxes?|bottles?|cans?|pcs|pieces?|bunch(es)?|loaf|loaves)\b/,
+  /^\d+\s+\p{L}/u,
+  /\p{L}\s+\d+$/u
+];
+
+const SHOW_CUES = ['season', 'episode', 'series', 'tv show', 'web series'];
+const MOVIE_CUES = ['movie', 'film', 'trailer', 'cinema', 'pelicula', 'película'];
+const SHOW_PATTERN = /\bs\d{1,2}\s?e\d{1,3}\b/;
+
+const ACTION_VERBS = ['buy', 'get', 'renew', 'call', 'watch', 'pickup', 'pick up', 'order', 'pay', 'book', 'email', 'send', 'fix', 'clean', 'finish', 'submit', 'schedule', 'comprar', 'llamar', 'kharidna', 'karna'];
+const APP_CUES = ['bug', 'crash', 'feature', 'ui', 'ux', 'app', 'button', 'screen', 'onboarding', 'refactor', 'deploy'];
+
+// Resolve a rule target to the caller's casing; null when the caller has no such category.
+function resolve(categories, name) {
+  const k = key(name);
+  return categories.find(c => key(c) === k) ?? null;
+}
+
+function matchHints(n, hints, categories) {
+  for (const [cat, phrases] of Object.entries(hints || {})) {
+    if (!Array.isArray(phrases)) continue;
+    const resolved = resolve(categories, cat);
+    if (!resolved) continue;
+    const hit = phrases.find(p => typeof p === 'string' && p.trim() && n.includes(norm(p)));
+    if (hit) return { category: resolved, hit };
+  }
+  return null;
+}
+
+/**
+ * Classify one short text without calling a model.
+ * Returns the same shape `sanitizeSingle` expects, with provider 'rules' and
+ * confidence capped at `maxConfidence` (FALLBACK_CONFIDENCE).
+ */
+export function classifyByRules(text, { categories = [], hints = {}, maxConfidence = 0.6 } = {}) {
+  const raw = String(text ?? '').trim().toLowerCase();
+  const n = norm(text);
+  const out = {
+    provider: 'rules',
+    category: resolve(categories, 'Other') ?? 'Other',
+    subcategory: null,
+    confidence: 0.2,
+    reason: 'Rules fallback: no rule matched',
+    suggestedNewCategory: null,
+    suggestedNewSubcategory: null,
+    alternativeCategory: null
+  };
+  const pick = (name, confidence, reason, extra = {}) => {
+    const c = resolve(categories, name);
+    if (!c) return false;
+    Object.assign(out, { category: c, confidence, reason: `Rules fallback: ${reason}` }, extra);
+    return true;
+  };
+
+  const mediaCue = SHOW_PATTERN.test(raw) || hasPhrase(n, SHOW_CUES) ? 'Shows'
+    : hasPhrase(n, MOVIE_CUES) ? 'Movies' : null;
+  const verb = hasPhrase(n, ACTION_VERBS);
+  const hint = matchHints(n, hints, categories);
+
+  // First matching rule wins; a rule whose target category the caller lacks falls through.
+  const rules = [
+    () => hint && pick(hint.category, 0.9, `matches learned hint "${hint.hit}"`),
+    () => hasPhrase(n, REMINDER_PHRASES) && pick('Reminders', 0.7, 'reminder phrasing'),
+    () => TIME_PATTERNS.some(re => re.test(raw)) && pick('Reminders', 0.85, 'time/date expression'),
+    () => mediaCue && verb && pick('To-do', 0.7, `action "${verb}" on a media title`, { alternativeCategory: resolve(categories, mediaCue) }),
+    () => mediaCue && pick(mediaCue, 0.75, 'media cue'),
+    () => QUANTITY_PATTERNS.some(re => re.test(raw)) && pick('Groceries', 0.8, 'quantity marker'),
+    () => hasPhrase(n, APP_CUES) && pick('App', 0.7, 'app/feature cue'),
+    () => verb && pick('To-do', 0.7, `action verb "${verb}"`, verb === 'watch' ? { alternativeCategory: resolve(categories, 'Movies') } : {})
+  ];
+  rules.some(rule => rule());
+
+  out.confidence = Math.min(out.confidence, maxConfidence);
+  return out;
+}
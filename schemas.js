@@ -0,0 +1,147 @@
+// schemas.js (ESM) — output and request schemas for /classify and /analyze + a minimal JSON-schema validator
+// Only the keywords used below are supported: type, enum, properties, required,
+// additionalProperties (false or a schema), items, minimum, maximum, minLength, maxLength,
+// minItems, maxItems, maxProperties.
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'], ...(schema.enum ? { enum: [...schema.enum, null] } : {}) });
+
+function itemProperties(categories) {
+  const category = { type: 'string', enum: [...categories] };
+  return {
+    category,
+    subcategory: nullable({ type: 'string' }),
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reason: { type: 'string' },
+    suggestedNewCategory: nullable({ type: 'string' }),
+    suggestedNewSubcategory: nullable({ type: 'string' })
+  };
+}
+
+const strictObject = (properties) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+// { name, schema } pairs, ready for provider structured-output options
+export function classifySchema(categories) {
+  const props = itemProperties(categories);
+  props.alternativeCategory = nullable(props.category);
+  return { name: 'classification', schema: strictObject(props) };
+}
+
+export function analyzeSchema(categories) {
+  const item = strictObject({ id: { type: 'string' }, text: { type: 'string' }, ...itemProperties(categories) });
+  return { name: 'analysis', schema: strictObject({ items: { type: 'array', items: item } }) };
+}
+
+/* ---------- Request bodies ---------- */
+// limits: { textChars, analyzeChars, categories, nameChars, subcategories, hintsPerCategory, hintChars, languages, notes }
+function taxonomyProperties(limits) {
+  const name = { type: 'string', minLength: 1, maxLength: limits.nameChars };
+  const byCategory = (items, maxItems) => ({
+    type: 'object',
+    maxProperties: limits.categories,
+    additionalProperties: { type: 'array', maxItems, items }
+  });
+  return {
+    categories: { type: 'array', maxItems: limits.categories, items: name },
+    languages: { type: 'array', maxItems: limits.languages, items: { type: 'string', minLength: 1, maxLength: 35 } },
+    subcategoriesByCategory: byCategory(name, limits.subcategories),
+    hintsByCategory: byCategory({ type: 'string', minLength: 1, maxLength: limits.hintChars }, limits.hintsPerCategory),
+    entities: { type: 'boolean' },
+    timezone: { type: 'string', maxLength: 64 },
+    referenceTime: { type: ['string', 'integer'] }
+  };
+}
+
+// Unknown fields are ignored rather than refused, so older servers keep accepting newer apps
+export function requestSchema(kind, limits) {
+  const props = taxonomyProperties(limits);
+  if (kind === 'jobs') {
+    props.notes = { type: 'array', minItems: 1, maxItems: limits.notes, items: { type: ['string', 'object'] } };
+    return { type: 'object', properties: props, required: ['notes'] };
+  }
+  props.fallback = { type: 'boolean' };
+  if (kind === 'classify') props.text = { type: 'string', minLength: 1, maxLength: limits.textChars };
+  if (kind === 'analyze') {
+    props.text = { type: 'string', maxLength: limits.analyzeChars };
+    props.split = { type: 'boolean' };
+  }
+  return { type: 'object', properties: props, required: ['text'] };
+}
+
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+const typeMatches = (t, actual) => t === actual || (t === 'number' && actual === 'integer');
+
+// Object keys that are not identifiers are quoted: $.hintsByCategory["To-do"]
+const keyPath = (path, k) => (/^[A-Za-z_$][\w$]*$/.test(k) ? `${path}.${k}` : `${path}[${JSON.stringify(k)}]`);
+
+// Cross-field checks once validate() passes. `categories` is the effective list, tenant defaults
+// filled in, so a body that omits it is checked against the tenant's own categories.
+// Category keys are always quoted ($.subcategoriesByCategory["Bills"]), being user data rather than fields.
+export function taxonomyProblems(body, categories) {
+  const problems = [];
+  const seen = new Set();
+  (body.categories ?? []).forEach((c, i) => {
+    if (seen.has(c)) problems.push({ path: `$.categories[${i}]`, code: 'duplicate', message: 'is listed twice' });
+    seen.add(c);
+  });
+  const known = new Set(categories);
+  for (const field of ['subcategoriesByCategory', 'hintsByCategory']) {
+    for (const k of Object.keys(body[field] ?? {})) {
+      if (!known.has(k)) problems.push({ path: `$.${field}[${JSON.stringify(k)}]`, code: 'unknown_category', message: 'is not one of the categories' });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate `value` against `schema`. Returns a list of { path, code, message } (empty when valid).
+ * code: type | enum | minimum | maximum | min_length | max_length | min_items | max_items |
+ *       max_properties | required | not_allowed
+ */
+export function validate(schema, value, path = '$', errors = []) {
+  const actual = typeOf(value);
+  const fail = (code, message, at = path) => errors.push({ path: at, code, message });
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(t => typeMatches(t, actual))) {
+    fail('type', `expected ${types.join('|')}, got ${actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be ≤ ${schema.maximum}`);
+  }
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('min_length', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('max_length', `must be at most ${schema.maxLength} characters`);
+  }
+  if (actual === 'object') {
+    const keys = Object.keys(value);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail('max_properties', `must have at most ${schema.maxProperties} keys`);
+    for (const k of schema.required ?? []) {
+      if (!(k in value)) fail('required', 'is required', keyPath(path, k));
+    }
+    for (const k of keys) {
+      const sub = schema.properties?.[k] ?? (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (sub) validate(sub, value[k], keyPath(path, k), errors);
+      else if (schema.additionalProperties === false) fail('not_allowed', 'is not allowed', keyPath(path, k));
+    }
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('min_items', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('max_items', `must have at most ${schema.maxItems} items`);
+      return errors; // don't walk (and report on) thousands of surplus items
+    }
+    if (schema.items) value.forEach((v, i) => validate(schema.items, v, `${path}[${i}]`, errors));
+  }
+  return errors;
+}
@@ -0,0 +1,136 @@
+// segmenter.js (ESM) — split one dictated line into separate actionable items
+//
+// "buy milk and eggs, call mom tomorrow at 5, watch Dune" → three segments.
+// Splits on list punctuation and on "then"-type connectives of the caller's languages. A plain
+// "and" only splits when an action verb follows ("buy milk and call mom"), so "milk and eggs",
+// "salt and pepper" or "Fast and Furious" stay whole. Commas inside numbers ("1,5 kg") and before
+// a year ("March 3, 2027") are not separators.
+
+/* ---------- Vocabulary ---------- */
+// then: always a boundary. and: a boundary only before one of `verbs`.
+// boundary: false for scripts written without spaces between words.
+const CONNECTIVES = {
+  en: {
+    then: ['and then', 'then', 'and also', 'also', 'after that'],
+    and: ['and', '&'],
+    verbs: ['buy', 'get', 'grab', 'pick', 'order', 'call', 'text', 'email', 'message', 'phone', 'ring', 'watch', 'see', 'read',
+      'listen', 'book', 'pay', 'send', 'cancel', 'renew', 'schedule', 'remind', 'check', 'clean', 'wash', 'fix', 'make', 'cook',
+      'bake', 'finish', 'start', 'submit', 'return', 'visit', 'meet', 'go', 'take', 'bring', 'write', 'print', 'post', 'drop',
+      'water', 'feed', 'walk', 'charge', 'update', 'review', 'plan', 'prepare', 'try', 'remember', "don't", 'need to']
+  },
+  es: {
+    then: ['y luego', 'luego', 'y después', 'después', 'también'],
+    and: ['y', 'e'],
+    verbs: ['comprar', 'compra', 'llamar', 'llama', 'ver', 'mira', 'pagar', 'paga', 'enviar', 'envía', 'recoger', 'limpiar', 'hacer', 'leer', 'reservar']
+  },
+  fr: {
+    then: ['et puis', 'puis', 'ensuite', 'aussi'],
+    and: ['et'],
+    verbs: ['acheter', 'achète', 'appeler', 'appelle', 'regarder', 'regarde', 'payer', 'paie', 'envoyer', 'envoie', 'faire', 'lire', 'réserver']
+  },
+  it: {
+    then: ['e poi', 'poi', 'anche'],
+    and: ['e', 'ed'],
+    verbs: ['comprare', 'compra', 'chiamare', 'chiama', 'guardare', 'guarda', 'pagare', 'paga', 'mandare', 'manda', 'fare', 'leggere', 'prenotare']
+  },
+  de: { then: ['und dann', 'dann', 'außerdem'] },
+  hi: { then: ['aur phir', 'phir', 'और फिर', 'फिर', 'उसके बाद'] },
+  ur: { then: ['aur phir', 'phir', 'اور پھر', 'پھر'] },
+  pa: { then: ['ate phir', 'phir', 'ਫਿਰ', 'ਅਤੇ ਫਿਰ'] },
+  mr: { then: ['ani mag', 'mag', 'मग', 'नंतर', 'आणि मग'] },
+  gu: { then: ['pachhi', 'પછી', 'અને પછી'] },
+  bn: { then: ['tarpor', 'তারপর', 'এবং তারপর'] },
+  te: { then: ['tarvata', 'తర్వాత', 'ఆ తర్వాత'] },
+  ta: { then: ['piragu', 'பிறகு', 'அப்புறம்'] },
+  vi: { then: ['sau đó', 'và sau đó'] },
+  ko: { then: ['그리고', '그다음', '그 다음에', '그리고 나서'] },
+  zh: { then: ['然后', '还有'], boundary: false }
+};
+
+const LANGUAGE_NAMES = {
+  english: 'en', spanish: 'es', french: 'fr', italian: 'it', german: 'de', hindi: 'hi', urdu: 'ur', punjabi: 'pa',
+  marathi: 'mr', gujarati: 'gu', bengali: 'bn', telugu: 'te', tamil: 'ta', vietnamese: 'vi', korean: 'ko', chinese: 'zh'
+};
+const langCode = (l) => {
+  const s = String(l ?? '').trim().toLowerCase();
+  return LANGUAGE_NAMES[s] ?? s.split(/[-_]/)[0];
+};
+
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'vs', 'etc', 'jr', 'sr', 'no', 'approx']);
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const WORD = '[\\p{L}\\p{N}]';
+
+// One regex per language set: group 1 = "then" phrase, group 2 = "and" phrase followed by a verb.
+// `codes` only holds languages with connectives, and the cache keeps the most recent PATTERNS_MAX sets.
+const PATTERNS_MAX = 256;
+const patterns = new Map();
+function patternFor(codes) {
+  const key = codes.join(',');
+  if (patterns.has(key)) return patterns.get(key);
+  if (patterns.size >= PATTERNS_MAX) patterns.delete(patterns.keys().next().value);
+  const then = [];
+  const and = [];
+  for (const c of codes) {
+    const v = CONNECTIVES[c];
+    if (!v) continue;
+    const wrap = (p) => (v.boundary === false ? escapeRe(p) : `(?<!${WORD})${escapeRe(p)}(?!${WORD})`);
+    then.push(...v.then.map(wrap));
+    if (v.and && v.verbs) {
+      and.push(`(?:${v.and.map(wrap).join('|')})(?=\\s+(?:${v.verbs.map(escapeRe).join('|')})(?!${WORD}))`);
+    }
+  }
+  const byLength = (a, b) => b.length - a.length;
+  const parts = [then.length ? `(${then.sort(byLength).join('|')})` : null, and.length ? `(${and.join('|')})` : null].filter(Boolean);
+  const re = parts.length ? new RegExp(parts.join('|'), 'giu') : null;
+  patterns.set(key, re);
+  return re;
+}
+
+/* ---------- Separators ---------- */
+function punctuationCuts(line) {
+  const cuts = [];
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (';；、，。！？'.includes(ch)) cuts.push([i, i + 1]);
+    else if (ch === ',') {
+      const between = /\d/.test(line[i - 1] ?? '') && /\d/.test(line[i + 1] ?? '');
+      const beforeYear = /^,\s*\d{4}(?!\d)/.test(line.slice(i, i + 8));
+      if (!between && !beforeYear) cuts.push([i, i + 1]);
+    } else if ('.!?'.includes(ch) && (i + 1 === line.length || /\s/.test(line[i + 1]))) {
+      const word = /([\p{L}]+)$/u.exec(line.slice(0, i))?.[1] ?? '';
+      if (ch !== '.' || (word.length > 1 && !ABBREVIATIONS.has(word.toLowerCase()))) cuts.push([i, i + 1]);
+    }
+  }
+  return cuts;
+}
+
+/**
+ * splitCompound(line, { languages }) → [{ text, start, end }]
+ * Offsets index into `line` (end exclusive); text is line.slice(start, end). A blank line → [].
+ */
+export function splitCompound(line, { languages = ['en'] } = {}) {
+  line = String(line ?? '');
+  // Unknown codes add nothing to the pattern, so they are dropped before they reach the cache key
+  const codes = [...new Set((languages.length ? languages : ['en']).map(langCode))].filter(c => Object.hasOwn(CONNECTIVES, c)).sort();
+  const cuts = punctuationCuts(line);
+  const re = patternFor(codes);
+  if (re) for (const m of line.matchAll(re)) cuts.push([m.index, m.index + m[0].length]);
+  cuts.sort((a, b) => a[0] - b[0]);
+
+  const out = [];
+  let at = 0;
+  const push = (a, b) => {
+    while (a < b && /\s/.test(line[a])) a++;
+    while (b > a && /\s/.test(line[b - 1])) b--;
+    if (/[\p{L}\p{N}]/u.test(line.slice(a, b))) out.push({ text: line.slice(a, b), start: a, end: b });
+  };
+  for (const [a, b] of cuts) {
+    if (a < at) { at = Math.max(at, b); continue; }
+    push(at, a);
+    at = b;
+  }
+  push(at, line.length);
+  // Nothing but connectives ("then") → keep the line as one item rather than dropping it
+  if (!out.length && line.trim()) push(0, line.length);
+  return out;
+}
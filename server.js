@@ -1,136 +1,30 @@
 // server.js — SmartNotes proxy (exact prompts + hardened + Rule #2 post-fix)
 import 'dotenv/config';
+import crypto from 'node:crypto';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
-
-/* ---------- Prompt builders (inline) ---------- */
-const pretty = (obj) => JSON.stringify(obj ?? {}, null, 2);
-
-function buildClassifyPrompt({ text, languages = [], categories = [], subcats = {}, hints = {} }) {
-  return `
-/classify
-
-You are a deterministic short-text classifier.     
-Return ONLY a single JSON object with this schema:    
-{     
-  "category": string,                     // must be one of CATEGORIES (case-insensitive match, but output must use provided casing)    
-  "subcategory": string|null,             // only choose from SUBCATEGORIES_BY_CATEGORY[category] if present AND highly confident; else null    
-  "confidence": number,                   // 0.0..1.0    
-  "reason": string,                       // one sentence, why you chose it    
-  "suggestedNewCategory": string|null,    // single word if a clearly better category is missing from CATEGORIES; else null    
-  "suggestedNewSubcategory": string|null, // single word if a clearly better subcategory is missing; else null    
-  "alternativeCategory": string|null      // optional: if text plausibly fits TWO categories, give the second best choice    
-}    
-
-CONTEXT:    
-- USER_PREFERRED_LANGUAGES: ${pretty(languages)}    
-- CATEGORIES: ${pretty(categories)}    
-- SUBCATEGORIES_BY_CATEGORY: ${pretty(subcats)}          // include only if user has subcategories    
-- HINTS_BY_CATEGORY: ${pretty(hints)}                    // optional user-learned phrases; can be empty    
-
-INTERPRETATION RULES (language-aware, dynamic)    
-1) Normalize spelling, transliteration, and synonyms across USER_PREFERRED_LANGUAGES before classifying.    
-2) If text contains QUANTITY markers ("x2","2kg","3 packs"), treat as a PHYSICAL ITEM:  
-   - Do NOT classify as "Movies" or "Shows" unless explicit media cues exist ("season","episode","trailer","movie","series","watch").  
-   - If it looks like an ingredient/consumable (cilantro, potato, onions) → category="Groceries".  
-   - If it looks like a prepared dish or cuisine item → category="Other", suggestedNewCategory="Food".  
-3) Reminders:  
-   - Choose "Reminders" if there is an explicit time/date expression (times, weekdays, relative dates),  
-     OR if the text contains explicit reminder phrasing such as "remind me", "set a reminder", "reminder to".  
-   - If there is reminder phrasing but no concrete time/date, still choose "Reminders" with moderate confidence.  
-4) Action verbs ("buy","get","renew","call","watch","pickup","order") bias towards "To-do"     
-   (unless a concrete time/date is present → "Reminders").    
-5) Media:    
-   - If the text is clearly a movie/film title → "Movies"    
-   - If clearly episodic/series → "Shows"    
-6) If both a task intent (verb) AND a media title are present (e.g. "watch Moana"):  
-   - category = "To-do"  
-   - alternativeCategory = "Movies" (or "Shows" if series)  
-   - reason should note both interpretations.  
-7) App/feature/bug/UX feedback or dev tasks (without explicit time) → "App"  
-8) If no confident match within CATEGORIES, use "Other" and set suggestedNewCategory to the best single word (e.g. "Food","Shopping","Cosmetics","Sports","Finance").  
-9) Only output a subcategory if it exists under the chosen category AND confidence ≥ 0.8.  
-
-CONSTRAINTS:    
-- "category" MUST be from CATEGORIES (use provided casing). If no fit, choose "Other".    
-- "alternativeCategory" MUST also be from CATEGORIES if present; else null.    
-- "subcategory" MUST be valid under the chosen category if used; else null.    
-- Output JSON only. No markdown or extra text.    
-
-TEXT TO CLASSIFY:
-${text ?? ''}
-`.trim();
-}
-
-function buildAnalyzePrompt({ lines, languages = [], categories = [], subcats = {}, hints = {} }) {
-  const joined = (lines ?? []).join("\n");
-  return `
-/analyze:
-
-You are a deterministic multi-line text classifier.    
-Return ONLY a single JSON object with this schema:  
-{  
-  "items": [  
-    {  
-      "text": string,  
-      "category": string,                 // must be one of CATEGORIES (case-insensitive match, but output must use provided casing)  
-      "subcategory": string|null,         // only choose from SUBCATEGORIES_BY_CATEGORY[category] if present AND highly confident; else null  
-      "confidence": number,               // 0.0..1.0  
-      "reason": string,                   // one sentence, why you chose it  
-      "suggestedNewCategory": string|null,   // single word if a clearly better category is missing from CATEGORIES; else null  
-      "suggestedNewSubcategory": string|null // single word if a clearly better subcategory is missing; else null  
-    }  
-  ]  
-}  
-
-CONTEXT:  
-- USER_PREFERRED_LANGUAGES: ${pretty(languages)}  
-- CATEGORIES: ${pretty(categories)}  
-- SUBCATEGORIES_BY_CATEGORY: ${pretty(subcats)}      // include only if user has subcategories  
-- HINTS_BY_CATEGORY: ${pretty(hints)}                // optional user-learned phrases; can be empty  
-
-INTERPRETATION RULES (language-aware, dynamic)  
-1) Normalize spelling, transliteration, and synonyms across USER_PREFERRED_LANGUAGES before classifying.  
-
-2) Quantities:  
-   - If text contains QUANTITY markers ("x2","2","2kg","3 packs"), treat as a PHYSICAL ITEM.  
-   - Do NOT classify as "Movies" or "Shows" unless explicit media cues exist ("season","episode","trailer","movie","series","watch").  
-   - If it looks like an ingredient/consumable (produce, staples) → category="Groceries".  
-   - If it looks like a prepared dish or cuisine item → category="Other", suggestedNewCategory="Food".  
-
-3) Reminders:  
-   - Choose "Reminders" if there is an explicit time/date expression (times, weekdays, relative dates like "tomorrow", "next week", "at 6pm", "on Monday").  
-   - OR if the text contains explicit reminder phrasing such as "remind me", "set a reminder", "reminder to".  
-   - If there is reminder phrasing but no concrete time/date, still choose "Reminders" with moderate confidence (0.6–0.75).  
-
-4) Action verbs ("buy","get","renew","call","watch","pickup","order") bias towards "To-do"  
-   (unless a concrete time/date or reminder phrasing is present → then "Reminders").  
-
-5) Media:  
-   - Movie/film titles → "Movies"  
-   - Episodic/series titles → "Shows"  
-   - If phrased as an action (e.g., "watch Moana trailer") it may also be "To-do"; choose the stronger intent.  
-
-6) App/feature/bug/UX feedback or development tasks (without explicit time) → "App".  
-
-7) If no confident match within CATEGORIES, use "Other" and set a single-word suggestedNewCategory that best fits    
-   (e.g., "Food","Shopping","Cosmetics","Sports","Finance").    
-   - Prefer "Food" for prepared dishes/cuisine.  
-   - Prefer "Shopping" for non-food tangible items if "Groceries" doesn’t apply.  
-
-CONSTRAINTS:  
-- Category MUST be from CATEGORIES (use provided casing).  
-- Only output a subcategory if it already exists under the chosen category AND confidence ≥ 0.8; otherwise null.  
-- Output JSON only. No markdown or extra text.  
-
-TEXT TO CLASSIFY:
-${joined}
-`.trim();
-}
+import jwt from 'jsonwebtoken';
+import { buildProviderChain, providerEnv, PROVIDER_NAMES } from './providers.js';
+import { classifyByRules } from './rules_classifier.js';
+import { createClassifyCache, MemoryStore } from './cache.js';
+import { classifySchema, analyzeSchema, requestSchema, taxonomyProblems, validate } from './schemas.js';
+import { createFeedbackStore } from './feedback_store.js';
+import { createRuleEngine } from './post_rules.js';
+import { buildRepairPrompt, createPromptRouter, TEMPLATES } from './prompts_exact.js';
+import { FixtureMissError } from './recorder.js';
+import { createRegistry, createRecentWindow } from './metrics.js';
+import { createLogger, createRedactor, LOG_LEVELS, REDACT_MODES } from './logger.js';
+import { createQuotas } from './quotas.js';
+import { CircuitOpenError } from './resilience.js';
+import { createInstallationStore, createVerifier, parseSigningKeys, SIGNING_MODES } from './signing.js';
+import { createJobQueue, JobPause, FINISHED } from './jobs.js';
+import { canonicalTimeZone, extractEntities } from './entities.js';
+import { splitCompound } from './segmenter.js';
+import { detectLanguage, narrowLanguages, parseLocale } from './language.js';
+import { errorType, ProvidersFailedError } from './errors.js';
+import { loadTenants } from './tenants.js';
 
 /* ---------- Mappers ---------- */
 function tryParseJSON(s) {
@@ -159,93 +53,598 @@ function mapClassify(modelText) {
   };
 }
 
+// Normalize an echoed ID: "L3", "l3 ", 3 → "L3"
+const lineId = (v) => {
+  const t = String(v ?? '').trim().toUpperCase();
+  return /^\d+$/.test(t) ? `L${t}` : t;
+};
+
+// lines: [{ id, text }]. Model items are reconciled by echoed ID (falling back to an exact
+// text match for items without a usable ID); lines the model skipped are returned in `missing`.
 function mapAnalyze(modelText, lines) {
   const parsed = tryParseJSON(modelText);
-  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.items)) {
-    return { provider:'model', items: lines.map(t => ({ text:t, category:'Other', subcategory:null, confidence:0.1, reason:'Fallback: unparseable model output', suggestedNewCategory:null, suggestedNewSubcategory:null })), __raw:modelText };
-  }
-  const out = parsed.items.map((it, idx) => ({
-    text: lines[idx] ?? it.text ?? '',
-    category: typeof it.category === 'string' ? it.category : 'Other',
-    subcategory: it.subcategory ?? null,
-    confidence: typeof it.confidence === 'number' ? it.confidence : 0.5,
-    reason: typeof it.reason === 'string' ? it.reason : '',
-    suggestedNewCategory: it.suggestedNewCategory ?? null,
-    suggestedNewSubcategory: it.suggestedNewSubcategory ?? null
-  }));
-  return { provider:'model', items: out, __raw:modelText };
+  const got = parsed && typeof parsed === 'object' && Array.isArray(parsed.items) ? parsed.items : [];
+  const byId = new Map();
+  for (const it of got) {
+    if (!it || typeof it !== 'object') continue;
+    let line = lines.find(l => l.id === lineId(it.id) && !byId.has(l.id));
+    if (!line && typeof it.text === 'string') {
+      const t = it.text.trim().toLowerCase();
+      line = lines.find(l => !byId.has(l.id) && l.text.toLowerCase() === t);
+    }
+    if (!line) continue;
+    byId.set(line.id, {
+      id: line.id,
+      text: line.text,
+      category: typeof it.category === 'string' ? it.category : 'Other',
+      subcategory: it.subcategory ?? null,
+      confidence: typeof it.confidence === 'number' ? it.confidence : 0.5,
+      reason: typeof it.reason === 'string' ? it.reason : '',
+      suggestedNewCategory: it.suggestedNewCategory ?? null,
+      suggestedNewSubcategory: it.suggestedNewSubcategory ?? null
+    });
+  }
+  return {
+    provider:'model',
+    items: lines.filter(l => byId.has(l.id)).map(l => byId.get(l.id)),
+    missing: lines.filter(l => !byId.has(l.id)),
+    __raw:modelText
+  };
 }
 
 /* ---------- App ---------- */
 const app = express();
 const PORT = process.env.PORT || 7845;
 const APP_KEY = process.env.APP_KEY || '';
+const ADMIN_KEY = process.env.ADMIN_KEY || '';
 const DEBUG_AI = process.env.DEBUG_AI === '1';
+const JWT_SECRET = process.env.JWT_SECRET || '';
+const SESSION_TTL_SEC = Number(process.env.SESSION_TTL_SEC) || 900;
+const FALLBACK_CONFIDENCE = Number(process.env.FALLBACK_CONFIDENCE) || 0.6;
+const ANALYZE_CHUNK_LINES = Number(process.env.ANALYZE_CHUNK_LINES) || 40;
+const ANALYZE_CONCURRENCY = Number(process.env.ANALYZE_CONCURRENCY) || 4;
+
+// Request signing (signing.js): off | optional (verify when signed) | required; default optional once keys exist
+const SIGNING_KEYS = parseSigningKeys(process.env.SIGNING_KEYS);
+const SIGNING_MODE = String(process.env.SIGNING_MODE || (SIGNING_KEYS.length ? 'optional' : 'off')).toLowerCase();
+if (!SIGNING_MODES.includes(SIGNING_MODE)) throw new Error(`SIGNING_MODE must be one of ${SIGNING_MODES.join(', ')} (got "${SIGNING_MODE}")`);
+if (SIGNING_MODE !== 'off' && !SIGNING_KEYS.length) throw new Error(`SIGNING_MODE=${SIGNING_MODE} needs SIGNING_KEYS`);
+const SIGNING_REGISTRY_FILE = process.env.SIGNING_REGISTRY_FILE || './data/installations.json';
+const RATE_LIMIT_PER_MIN = Number(process.env.RATE_LIMIT_PER_MIN) || 120;
+
+// Behind a reverse proxy (Render, a load balancer) req.ip is the proxy's address unless Express trusts
+// X-Forwarded-For: TRUST_PROXY is a hop count ("1"), "true", or addresses/subnets ("loopback, 10.0.0.0/8")
+const TRUST_PROXY = (() => {
+  const v = String(process.env.TRUST_PROXY ?? '').trim();
+  if (!v || v === 'false') return false;
+  if (v === 'true') return true;
+  return /^\d+$/.test(v) ? Number(v) : v;
+})();
+app.set('trust proxy', TRUST_PROXY);
+
+// Structured logs: LOG_LEVEL (DEBUG_AI=1 implies debug), LOG_REDACT hash|mask|none for note text.
+// "none" (verbatim text) is for local dev and is refused when NODE_ENV=production.
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : (DEBUG_AI ? 'debug' : 'info');
+const LOG_REDACT = (() => {
+  const mode = process.env.LOG_REDACT || 'hash';
+  if (!REDACT_MODES.includes(mode)) return 'hash';
+  return mode === 'none' && process.env.NODE_ENV === 'production' ? 'hash' : mode;
+})();
+// Warnings and errors (already redacted) are kept for GET /admin/failures
+const FAILURES_MAX = 200;
+const recentFailures = [];
+const keepFailure = (entry) => {
+  if (entry.level !== 'warn' && entry.level !== 'error') return;
+  recentFailures.push(entry);
+  if (recentFailures.length > FAILURES_MAX) recentFailures.shift();
+};
+const log = createLogger({ level: LOG_LEVEL, redact: createRedactor({ mode: LOG_REDACT, key: process.env.LOG_HASH_KEY }), tap: keepFailure });
+if (LOG_REDACT !== (process.env.LOG_REDACT || 'hash')) log.warn('log_redact_overridden', { requested: process.env.LOG_REDACT, using: LOG_REDACT });
+
+// Registered installations and their signing secrets (encrypted under SIGNING_KEYS)
+const installations = createInstallationStore({
+  file: SIGNING_MODE === 'off' ? null : SIGNING_REGISTRY_FILE,
+  keys: SIGNING_KEYS,
+  log: log.child({ component: 'signing' })
+});
+const signer = createVerifier({
+  keys: SIGNING_KEYS,
+  installations,
+  maxSkewSec: Number(process.env.SIGNING_MAX_SKEW_SEC) || 300,
+  maxNonces: Number(process.env.SIGNING_NONCE_MAX) || 100000
+});
+
+const DEFAULT_CATEGORIES = ["To-do","Reminders","Groceries","Movies","Shows","App","Other"];
+const DEFAULT_LANGUAGES = ["en","es","hi","zh","ko","it","vi","fr","te","ta","mr","bn","gu","pa","ur"];
+
+/* ---------- Tenants ---------- */
+// Client profiles (tenants.js): "default" is built from env below, TENANTS_FILE adds named ones
+// (another app build, the web client) with their own taxonomy defaults, providers, limits,
+// post-rules, CORS origins and debug permission.
+const envLimit = (v, d) => (v === undefined || v === '' ? d : Math.max(0, Number(v) || 0));
+const tenants = loadTenants({
+  file: process.env.TENANTS_FILE || './tenants.json',
+  providerNames: PROVIDER_NAMES,
+  defaults: {
+    appKeys: APP_KEY ? [APP_KEY] : [],
+    categories: DEFAULT_CATEGORIES,
+    languages: DEFAULT_LANGUAGES,
+    providers: null, // PROVIDER_CHAIN and <PREFIX>_MODEL as set in env
+    limits: {
+      ratePerMin: RATE_LIMIT_PER_MIN,
+      requestsPerMin: {
+        classify: envLimit(process.env.QUOTA_CLASSIFY_PER_MIN, 60),
+        analyze: envLimit(process.env.QUOTA_ANALYZE_PER_MIN, 10)
+      },
+      tokensPerDay: envLimit(process.env.QUOTA_TOKENS_PER_DAY, 200000),
+      tokensPerMonth: envLimit(process.env.QUOTA_TOKENS_PER_MONTH, 2000000)
+    },
+    postRules: '*',
+    allowOrigins: String(process.env.ALLOW_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean),
+    debug: false
+  }
+});
+const DEFAULT_TENANT = tenants.get('default');
+// Without any app key requireAppKey admits everyone, so /session refuses rather than sign for anyone
+const SESSIONS_ENABLED = !!JWT_SECRET && tenants.hasKeys;
+if (JWT_SECRET && !tenants.hasKeys) log.warn('sessions_disabled', { cause: 'JWT_SECRET is set but no app key is configured (APP_KEY or a tenant appKeyEnv)' });
 const trunc = (s, n = 2000) => (typeof s === 'string' && s.length > n ? s.slice(0, n) + '…' : s);
 
-app.use(express.json({ limit: '1mb' }));
-app.use(cors());
+/* ---------- Metrics ---------- */
+// Scraped from GET /metrics (ADMIN_KEY). Labels stay bounded: route paths, provider names, rule IDs,
+// and categories outside DEFAULT_CATEGORIES collapse to "custom".
+const metrics = createRegistry({ prefix: 'smartnotes_' });
+const metric = {
+  requests: metrics.counter('http_requests_total', 'HTTP requests by route, method, status and tenant'),
+  requestSeconds: metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route'),
+  rateLimited: metrics.counter('rate_limited_total', 'Requests rejected by the rate limiter'),
+  providerSeconds: metrics.histogram('provider_request_duration_seconds', 'Provider call latency by provider and outcome', { buckets: [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30] }),
+  providerTokens: metrics.counter('provider_tokens_total', 'Tokens reported by providers, by provider and direction'),
+  failovers: metrics.counter('provider_failovers_total', 'Chain moved on to the next provider after an error or unusable output'),
+  unparseable: metrics.counter('unparseable_outputs_total', 'Provider answers that were not JSON'),
+  schemaInvalid: metrics.counter('schema_violations_total', 'Provider answers that failed schema validation'),
+  repairs: metrics.counter('repairs_total', 'Schema repair round-trips by provider and result'),
+  escalations: metrics.counter('escalations_total', 'Weak answers re-asked from the next provider (per text)'),
+  rulesFallback: metrics.counter('rules_fallback_total', 'Texts answered by the offline rules classifier'),
+  results: metrics.counter('classifications_total', 'Final results by route, category and provider'),
+  postRules: metrics.counter('post_rule_applied_total', 'Post-rule firings by rule ID'),
+  quotaRejections: metrics.counter('quota_rejections_total', 'Requests refused by per-identity quotas, by quota'),
+  signatureFailures: metrics.counter('signature_failures_total', 'Requests refused by signature verification, by reason'),
+  invalidRequests: metrics.counter('invalid_requests_total', 'Request body problems by route and code'),
+  jobNotes: metrics.counter('job_notes_total', 'Notes classified by batch jobs'),
+  retries: metrics.counter('provider_retries_total', 'Provider attempts retried after a transient error, by provider and reason'),
+  circuitTransitions: metrics.counter('provider_circuit_transitions_total', 'Circuit breaker state changes by provider and new state'),
+  circuitSkips: metrics.counter('provider_circuit_skips_total', 'Provider calls skipped because its circuit was open')
+};
+metrics.counter('cache_lookups_total', 'Classification cache lookups by result', {
+  collect: () => [[{ result: 'hit' }, classifyCache.stats.hits], [{ result: 'miss' }, classifyCache.stats.misses]]
+});
+const CIRCUIT_STATE = { closed: 0, half_open: 1, open: 2 };
+metrics.gauge('provider_circuit_state', 'Circuit breaker state by chain and provider (0 closed, 1 half-open, 2 open)', {
+  collect: () => [...chainNames].flatMap(([chain, name]) => chain.map(p => [{ chain: name, provider: p.name }, CIRCUIT_STATE[p.breaker.state]]))
+});
+metrics.gauge('jobs', 'Batch jobs currently kept, by status', {
+  collect: () => Object.entries(jobs.counts()).map(([status, n]) => [{ status }, n])
+});
+metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch', {
+  collect: () => [[{}, Math.round(Date.now() / 1000 - process.uptime())]]
+});
+
+// Provider outcomes over the last HEALTH_WINDOW_SEC, for GET /health?deep=1
+const recentCalls = createRecentWindow({ windowMs: (Number(process.env.HEALTH_WINDOW_SEC) || 300) * 1000 });
+
+const observeResult = (route, x) => {
+  metric.results.inc({ route, category: DEFAULT_CATEGORIES.includes(x.category) ? x.category : 'custom', provider: x.provider ?? 'none' });
+  for (const id of x.appliedRules ?? []) metric.postRules.inc({ rule: id });
+};
+
+/* ---------- Request IDs + access log ---------- */
+// X-Request-Id is kept when the client sends a sane one, generated otherwise, and echoed on every
+// response and error body; error bodies also get their `type` (errors.js).
+// Handlers add provider/items/cache fields to res.locals.log for the access line.
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = log.child({ requestId: req.id });
+  res.locals.log = {};
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && !Array.isArray(body) && typeof body.error === 'string') {
+      res.locals.log.error ??= body.error;
+      body = { error: body.error, type: errorType(body.error, res.statusCode), ...body, requestId: req.id };
+    }
+    return json(body);
+  };
+
+  const start = performance.now();
+  res.on('close', () => {
+    const { error, ...fields } = res.locals.log;
+    const outcome = !res.writableEnded ? 'cancelled' : error ?? (res.statusCode < 400 ? 'ok' : 'error');
+    const level = res.statusCode >= 500 ? 'error' : req.path === '/health' && outcome === 'ok' ? 'debug' : 'info';
+    req.log[level]('request', {
+      method: req.method,
+      path: req.path,
+      tenant: req.tenant?.id,
+      status: res.statusCode,
+      ms: Math.round(performance.now() - start),
+      ...fields,
+      outcome
+    });
+  });
+  next();
+});
+
+app.use((req, res, next) => {
+  const start = performance.now();
+  res.on('close', () => {
+    const route = req.route?.path ?? 'unmatched';
+    metric.requests.inc({ route, method: req.method, status: res.statusCode, tenant: req.tenant?.id ?? 'default' });
+    metric.requestSeconds.observe({ route }, (performance.now() - start) / 1000);
+  });
+  next();
+});
+
+// Raw bytes kept for signature verification (body hash). POST /jobs parses its own, larger body.
+const keepRawBody = (req, _res, buf) => { req.rawBody = buf; };
+const jsonBody = express.json({ limit: '1mb', verify: keepRawBody });
+app.use((req, res, next) => (req.method === 'POST' && req.path === '/jobs' ? next() : jsonBody(req, res, next)));
+
+// The tenant a request runs under, from verified credentials only: its session token's audience,
+// else the owner of its X-App-Key, else "default". requireSession / requireAppKey settle it when they authenticate.
+function tenantOf(req) {
+  const m = JWT_SECRET && /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (m) {
+    try {
+      return tenants.get(jwt.verify(m[1].trim(), JWT_SECRET, { algorithms: ['HS256'] }).aud ?? 'default') ?? DEFAULT_TENANT;
+    } catch {}
+  }
+  return (req.get('X-App-Key') && tenants.forAppKey(req.get('X-App-Key'))) || DEFAULT_TENANT;
+}
+app.use((req, _res, next) => {
+  req.tenant = tenantOf(req);
+  next();
+});
+
+// Preflights carry no credentials, so CORS allows every tenant's origins (ALLOW_ORIGINS is the default
+// tenant's); the auth checks then hold each request to its own tenant's list. None configured → any origin.
+app.use(cors(tenants.origins.length ? { origin: tenants.origins } : undefined));
 app.use(helmet());
 
-const limiter = rateLimit({ windowMs: 60 * 1000, max: 120 });
+const limiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.tenant.limits.ratePerMin,
+  keyGenerator: (req) => `${req.tenant.id}:${req.ip}`,
+  skip: (req) => req.path === '/metrics', // scrapes must keep working while clients are throttled
+  handler: (_req, res, _next, options) => {
+    metric.rateLimited.inc();
+    res.status(options.statusCode).json({ error: 'rate_limited' });
+  }
+});
 app.use(limiter);
 
+// Browser requests (with an Origin) must come from one of the tenant's allowOrigins once any are configured
+function authenticated(req, res, next) {
+  const origin = req.get('Origin');
+  if (!origin || !tenants.origins.length || req.tenant.allowOrigins.includes(origin)) return next();
+  return res.status(403).json({ error: 'origin_not_allowed' });
+}
+
+// Any tenant's app key; it selects that tenant. A verified request signature stands in for the app key.
 function requireAppKey(req, res, next) {
-  if (!APP_KEY) return next();
-  const key = req.get('X-App-Key');
-  if (key && key === APP_KEY) return next();
-  return res.status(401).json({ error: 'Unauthorized' });
+  if (!tenants.hasKeys || req.signature) return authenticated(req, res, next);
+  const tenant = tenants.forAppKey(req.get('X-App-Key') || '');
+  if (!tenant) return res.status(401).json({ error: 'app_key_invalid' });
+  req.tenant = tenant;
+  return authenticated(req, res, next);
 }
 
-// Providers (Gemini primary, OpenAI fallback)
-const geminiKey = process.env.GEMINI_API_KEY;
-const genAI = geminiKey ? new GoogleGenerativeAI(geminiKey) : null;
-const openaiKey = process.env.OPENAI_API_KEY;
-const openai = openaiKey ? new OpenAI({ apiKey: openaiKey }) : null;
-const openaiModel = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+// Runs before the app-key / session checks. Unsigned requests pass unless SIGNING_MODE=required;
+// a signed request that fails any check is refused with its own error code. A verified signature
+// puts the request in the tenant its installation registered under.
+function checkSignature(req, res, next, { allowUnsigned }) {
+  if (SIGNING_MODE === 'off') return next();
+  const r = signer.verify({ method: req.method, path: req.originalUrl, body: req.rawBody, headers: (h) => req.get(h) });
+  if (r.ok) {
+    req.signature = { keyId: r.keyId, installationId: r.installationId };
+    req.tenant = (r.tenant && tenants.get(r.tenant)) || req.tenant;
+    return next();
+  }
+  if (r.error === 'signature_missing' && allowUnsigned) return next();
+  metric.signatureFailures.inc({ reason: r.error });
+  req.log.info('signature_rejected', { code: r.error, keyId: req.get('X-Signature-Key') });
+  return res.status(401).json({ error: r.error });
+}
+const verifySignature = (req, res, next) => checkSignature(req, res, next, { allowUnsigned: SIGNING_MODE === 'optional' });
+// Registration and the session before it cannot be signed yet
+const verifySignatureIfSigned = (req, res, next) => checkSignature(req, res, next, { allowUnsigned: true });
+
+// Admin credential: X-Admin-Key, or "Authorization: Bearer <ADMIN_KEY>" on operator endpoints
+// (model routes already use the bearer slot for the session token)
+function isAdmin(req, { bearer = false } = {}) {
+  if (!ADMIN_KEY) return false;
+  const key = req.get('X-Admin-Key') || (bearer && /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '')?.[1]?.trim()) || '';
+  const a = Buffer.from(key);
+  const b = Buffer.from(ADMIN_KEY);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_KEY) return res.status(503).json({ error: 'admin_unavailable' });
+  if (isAdmin(req, { bearer: true })) return next();
+  return res.status(401).json({ error: 'unauthorized' });
+}
+
+// ?debug=1 exposes prompts and raw model output, so it is honored for admins and tenants with
+// debug: true only (ignored otherwise)
+const wantsDebug = (req) => req.query.debug === '1' && (req.tenant.debug || isAdmin(req));
+
+// Short-lived session tokens (issued by /session, checked on model routes); their audience is the tenant.
+// Without JWT_SECRET we fall back to the static app-key check.
+function requireSession(req, res, next) {
+  if (!JWT_SECRET) return requireAppKey(req, res, next);
+  const m = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!m) return res.status(401).json({ error: 'token_missing' });
+  try {
+    req.session = jwt.verify(m[1].trim(), JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (e) {
+    if (e?.name === 'TokenExpiredError') return res.status(401).json({ error: 'token_expired' });
+    return res.status(401).json({ error: 'token_invalid' });
+  }
+  // Tokens issued before tenants existed carry no audience; a removed tenant's tokens stop working
+  const tenant = tenants.get(req.session.aud ?? 'default');
+  if (!tenant) return res.status(401).json({ error: 'token_invalid' });
+  req.tenant = tenant;
+  return authenticated(req, res, next);
+}
+
+// Classification cache (CACHE_TTL_SEC=0 disables)
+const CACHE_TTL_SEC = process.env.CACHE_TTL_SEC === undefined ? 86400 : Number(process.env.CACHE_TTL_SEC) || 0;
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 5000;
+const classifyCache = createClassifyCache({
+  store: new MemoryStore({ maxEntries: CACHE_MAX_ENTRIES }),
+  ttlMs: CACHE_TTL_SEC * 1000
+});
+
+// Identity for per-user state (learned hints, jobs): the session subject, else the installation of a
+// verified request signature. A bare X-Device-Id header is never trusted: anyone can send anyone's.
+const identityOf = (req) => req.session?.sub || req.signature?.installationId || null;
+// Identities key per-user records; names that mean something to JS objects are never issued as one
+const RESERVED_IDS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Learned corrections (POST /feedback) → per-user hints + exact-match answers
+const feedbackStore = createFeedbackStore({
+  file: process.env.FEEDBACK_FILE || './data/feedback.json',
+  maxPerUser: Number(process.env.FEEDBACK_MAX_PER_USER) || 500,
+  log: log.child({ component: 'feedback' })
+});
+
+// Per-identity quotas (0 = unlimited): requests per minute per route, provider tokens per UTC day / month.
+// Limits come from the caller's tenant; these are the default tenant's.
+const quotas = createQuotas({
+  file: process.env.USAGE_FILE || './data/usage.json',
+  requestsPerMin: DEFAULT_TENANT.limits.requestsPerMin,
+  tokensPerDay: DEFAULT_TENANT.limits.tokensPerDay,
+  tokensPerMonth: DEFAULT_TENANT.limits.tokensPerMonth,
+  log: log.child({ component: 'quotas' })
+});
+
+// Quota identity: a verified installation (a signed request, or a session whose subject is a registered
+// installation, which /session only issues to that installation), else tenant + client IP (the rate
+// limiter's key). A session subject is just the X-Device-Id sent to /session, so anyone with the app key
+// could mint a fresh budget per session; it is not trusted here.
+const quotaIdentity = (req) => {
+  if (req.signature) return req.signature.installationId;
+  const sub = req.session?.sub;
+  if (sub && installations.has(sub)) return sub;
+  return `ip:${req.tenant.id}:${req.ip}`;
+};
+
+function enforceQuota(route) {
+  return (req, res, next) => {
+    req.quotaId = quotaIdentity(req);
+    const over = quotas.check(req.quotaId, route, req.tenant.limits);
+    if (!over) return next();
+    metric.quotaRejections.inc({ quota: over.quota });
+    res.set('Retry-After', String(over.retryAfterSec));
+    return res.status(429).json({ error: 'quota_exceeded', ...over });
+  };
+}
+
+// Provider token usage → the caller's budget (and the access log line)
+const usageTracker = (req, res) => (u) => {
+  const n = (u.input || 0) + (u.output || 0);
+  quotas.addTokens(req.quotaId, n);
+  res.locals.log.tokens = (res.locals.log.tokens ?? 0) + n;
+};
+
+// Prompt templates per request: PROMPT_CLASSIFY / PROMPT_ANALYZE routes, X-Prompt-Version pins
+const promptRouter = createPromptRouter();
+// A/B buckets only need to be sticky, not authenticated, so an unverified X-Device-Id is fine here
+const bucketOf = (req) => identityOf(req) || req.get('X-Device-Id')?.trim() || null;
+const pickTemplate = (req, kind) => promptRouter.assign(kind, { pin: req.get('X-Prompt-Version'), identity: bucketOf(req) });
+// Per-item override from a PROMPT_<KIND>_<LANG>[_<SCRIPT>] route (never while X-Prompt-Version pins one)
+const localeTemplates = (req, kind) => (locale) => promptRouter.forLocale(kind, locale, { pin: req.get('X-Prompt-Version'), identity: bucketOf(req) });
+
+// Every provider call is timed, logged, its token usage counted and its outcome kept for deep health.
+// One call spans all of its retries; a call refused by an open circuit is only counted.
+const instrument = (p) => ({
+  ...p,
+  async generate(prompt, opts = {}) {
+    const start = performance.now();
+    let usage = null;
+    const done = (outcome, err) => {
+      const ms = performance.now() - start;
+      metric.providerSeconds.observe({ provider: p.name, outcome }, ms / 1000);
+      if (outcome !== 'cancelled') recentCalls.record(p.name, outcome === 'ok', ms);
+      (opts.log ?? log)[outcome === 'error' ? 'warn' : 'info']('provider_call', {
+        provider: p.name,
+        model: p.model,
+        ms: Math.round(ms),
+        outcome,
+        tokensIn: usage?.input,
+        tokensOut: usage?.output,
+        err
+      });
+    };
+    const onUsage = (u) => {
+      usage = u;
+      metric.providerTokens.inc({ provider: p.name, direction: 'input' }, u.input || 0);
+      metric.providerTokens.inc({ provider: p.name, direction: 'output' }, u.output || 0);
+      opts.onUsage?.(u);
+    };
+    try {
+      const t = await p.generate(prompt, { ...opts, onUsage });
+      done('ok');
+      return t;
+    } catch (e) {
+      if (e instanceof CircuitOpenError) {
+        metric.circuitSkips.inc({ provider: p.name });
+        (opts.log ?? log).debug('provider_call', { provider: p.name, model: p.model, outcome: 'circuit_open' });
+        throw e;
+      }
+      done(opts.signal?.aborted ? 'cancelled' : 'error', opts.signal?.aborted ? undefined : e);
+      throw e;
+    }
+  }
+});
+
+// Retry / circuit events from resilience.js (per-provider timeout, retries, breaker)
+const resilienceHooks = {
+  onRetry: ({ provider, attempt, delayMs, err, log: rlog }) => {
+    metric.retries.inc({ provider, reason: err?.status ? String(err.status) : err?.code === 'provider_timeout' ? 'timeout' : 'network' });
+    (rlog ?? log).info('provider_retry', { provider, attempt, delayMs, err });
+  },
+  onStateChange: ({ provider, from, to }) => {
+    metric.circuitTransitions.inc({ provider, state: to });
+    log[to === 'open' ? 'warn' : 'info']('provider_circuit', { provider, from, to });
+  }
+};
+
+// Providers (ordered by PROVIDER_CHAIN; default Gemini primary, OpenAI fallback). A tenant with its own
+// providers { chain, models } gets its own chain, with its own breakers; tenants with the same settings share one.
+const chains = new Map(); // tenant id → chain
+const chainNames = new Map(); // chain → name (the first tenant using it), for metrics
+{
+  const built = new Map();
+  for (const t of tenants.list) {
+    const key = JSON.stringify(t.providers);
+    if (!built.has(key)) {
+      const chain = buildProviderChain(t.providers ? providerEnv(process.env, t.providers) : process.env, resilienceHooks, log.child({ component: 'providers', tenant: t.id })).map(instrument);
+      built.set(key, chain);
+      chainNames.set(chain, t.id);
+    }
+    chains.set(t.id, built.get(key));
+  }
+}
+const providers = chains.get('default');
+const chainOf = (tenant) => chains.get(tenant.id) ?? providers;
+const breakerStates = (chain = providers) => Object.fromEntries(chain.map(p => [p.name, p.breaker.snapshot()]));
+
+// Per-request pipeline settings from the caller's tenant
+const tenantContext = (tenant) => ({
+  chain: chainOf(tenant),
+  ruleIds: tenant.postRules === '*' ? null : new Set(tenant.postRules)
+});
+// Request taxonomy, with the tenant's defaults for what the body leaves out
+const taxonomyOf = (body, tenant) => ({
+  categories: body.categories?.length ? body.categories : tenant.categories,
+  languages: body.languages?.length ? body.languages : tenant.languages,
+  subcats: body.subcategoriesByCategory || {}
+});
 
 // Utils
 const splitLines = (text) => String(text || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+// split: true → every line cut into separate items (segmenter.js); source = 0-based line of the text + span in it
+const splitSegments = (text, languages) => String(text || '').split(/\r?\n/).flatMap((raw, line) =>
+  splitCompound(raw, { languages }).map(({ text, start, end }) => ({ text, source: { line, start, end } })));
+// Learned hints first (so capHints keeps them), then the client's, de-duplicated per category
+const mergeHints = (learned, hints) => {
+  const out = {};
+  for (const src of [learned, hints]) {
+    for (const [k, v] of Object.entries(src || {})) {
+      if (!Array.isArray(v)) continue;
+      const seen = new Set((out[k] ??= []).map(x => String(x).toLowerCase()));
+      for (const x of v) if (!seen.has(String(x).toLowerCase())) { seen.add(String(x).toLowerCase()); out[k].push(x); }
+    }
+  }
+  return out;
+};
 const capHints = (h, max = 100) => {
   const out = {};
   for (const [k,v] of Object.entries(h || {})) if (Array.isArray(v)) out[k] = v.slice(0, max);
   return out;
 };
+// Run fn over items with at most `limit` in flight; results keep input order
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+const countBy = (arr, key) => arr.reduce((o, x) => { o[x[key] ?? 'none'] = (o[x[key] ?? 'none'] ?? 0) + 1; return o; }, {});
+const chunk = (arr, n) => Array.from({ length: Math.ceil(arr.length / n) }, (_, i) => arr.slice(i * n, (i + 1) * n));
 const safeParse = (s) => { try { return JSON.parse(String(s||'').trim()); } catch { return null; } };
 
-async function callLLM({ prompt }) {
-  // Gemini primary (2.5 Flash-Lite)
-  if (genAI) {
-    try {
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-      const r = await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }]}],
-        generationConfig: { responseMimeType: 'application/json' }
-      });
-      const t = r?.response?.text?.() ?? r?.response?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
-      const parsed = safeParse(t);
-      if (parsed) return { provider: 'gemini', raw: t, parsed };
-    } catch (e) {
-      if (DEBUG_AI) console.error('[gemini] error:', e?.message || e);
-    }
-  }
-  // OpenAI fallback (GPT-5 nano)
-  if (openai) {
+// Errors no fallback may hide: the client went away, or a replay run hit an unrecorded prompt
+const mustPropagate = (e, signal) => !!signal?.aborted || e instanceof FixtureMissError;
+
+// schema: { name, schema } from schemas.js — requested natively from providers that support it and
+//   validated locally; a violation gets one repair round-trip with the same provider.
+//   validation: 'validated' (first answer valid) | 'repaired' (valid after repair) |
+//   'fallback' (no provider produced valid output; best parsed answer salvaged by the mappers)
+// startAt: first chain index to try (escalation resumes after the provider that answered)
+// signal: aborts the in-flight call and stops the chain (client went away)
+// log: the request's logger (provider calls and failures are logged with its requestId)
+// onUsage: ({ input, output }) per provider call, for the caller's token budget
+// chain: the tenant's providers (default: the env-configured chain)
+// Throws ProvidersFailedError: unparseable_output when some provider answered, provider_outage otherwise
+async function callLLM({ prompt, schema, startAt = 0, signal, log: rlog = log, onUsage, chain = providers }) {
+  let salvage = null;
+  let answered = false;
+  for (let i = startAt; i < chain.length; i++) {
+    const p = chain[i];
+    signal?.throwIfAborted();
+    if (i > startAt) metric.failovers.inc({ from: chain[i - 1].name, to: p.name });
     try {
-      const r = await openai.chat.completions.create({
-        model: 'gpt-5-nano',
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        temperature: 0
-      });
-      const t = r?.choices?.[0]?.message?.content || '';
+      const t = await p.generate(prompt, { signal, schema, log: rlog, onUsage });
+      answered = true;
       const parsed = safeParse(t);
-      if (parsed) return { provider: 'openai', raw: t, parsed };
+      if (!parsed) {
+        metric.unparseable.inc({ provider: p.name });
+        rlog.warn('provider_unparseable', { provider: p.name, model: p.model, raw: t });
+        continue;
+      }
+      const base = { provider: p.name, model: p.model, index: i, raw: t, parsed };
+      const errors = schema ? validate(schema.schema, parsed) : [];
+      if (!errors.length) return { ...base, validation: 'validated' };
+
+      metric.schemaInvalid.inc({ provider: p.name });
+      rlog.warn('provider_schema_violation', { provider: p.name, model: p.model, errors: errors.slice(0, 5) });
+      salvage ??= { ...base, validation: 'fallback', errors };
+      const t2 = await p.generate(buildRepairPrompt({ prompt, raw: t, errors }), { signal, schema, log: rlog, onUsage });
+      const parsed2 = safeParse(t2);
+      const repaired = parsed2 && !validate(schema.schema, parsed2).length;
+      metric.repairs.inc({ provider: p.name, result: repaired ? 'repaired' : 'failed' });
+      if (repaired) {
+        return { ...base, raw: t2, parsed: parsed2, validation: 'repaired', errors };
+      }
     } catch (e) {
-      if (DEBUG_AI) console.error('[openai] error:', e?.message || e);
+      if (mustPropagate(e, signal)) throw e;
+      rlog.debug('provider_failed', { provider: p.name, err: e });
     }
   }
-  throw new Error('LLM providers failed');
+  if (salvage) return salvage;
+  throw new ProvidersFailedError(answered ? 'unparseable_output' : 'provider_outage');
 }
 function sanitizeSingle(obj, categories, subcats) {
   const valid = new Set(Array.isArray(categories) ? categories : []);
@@ -258,9 +657,13 @@ function sanitizeSingle(obj, categories, subcats) {
     reason: '',
     suggestedNewCategory: null,
     suggestedNewSubcategory: null,
-    alternativeCategory: null
+    alternativeCategory: null,
+    provider: null
   };
   if (!obj || typeof obj !== 'object') return out;
+  if (typeof obj.provider === 'string') out.provider = obj.provider;
+  if (typeof obj.validation === 'string') out.validation = obj.validation;
+  if (typeof obj.fallbackReason === 'string') out.fallbackReason = obj.fallbackReason;
 
   const {
     category,
@@ -325,118 +728,841 @@ function sanitizeSingle(obj, categories, subcats) {
   return out;
 }
 
-/* ---------- Routes ---------- */
-app.get('/health', (_req, res) => res.json({ ok: true }));
+/* ---------- Escalation ---------- */
+// A sanitized answer is "weak" when it is under FALLBACK_CONFIDENCE or gives up with Other + a suggestion.
+const isWeak = (x) => x.confidence < FALLBACK_CONFIDENCE || (x.category === 'Other' && !!x.suggestedNewCategory);
+
+// Pick the better of two sanitized answers; when they agree on category, merge the stronger fields.
+function pickBetter(a, b) {
+  if (a.category === b.category) {
+    const [hi, lo] = b.confidence > a.confidence ? [b, a] : [a, b];
+    return {
+      ...hi,
+      subcategory: hi.subcategory ?? lo.subcategory,
+      alternativeCategory: hi.alternativeCategory ?? lo.alternativeCategory
+    };
+  }
+  if (isWeak(a) !== isWeak(b)) return isWeak(a) ? b : a;
+  return b.confidence > a.confidence ? b : a;
+}
+
+const attemptOf = (r, extra) => ({
+  provider: r.provider,
+  model: r.model,
+  validation: r.validation,
+  ...(r.errors ? { errors: r.errors.slice(0, 10) } : {}),
+  ...extra,
+  raw: trunc(r.raw, 4000)
+});
+
+// Rules answers are labeled 'fallback' like any other salvaged result.
+// fallbackReason: provider_outage | unparseable_output (ProvidersFailedError) | incomplete_output (model skipped the line)
+const rulesResult = (text, { categories, hints }, fallbackReason) => ({
+  ...classifyByRules(text, { categories, hints, maxConfidence: FALLBACK_CONFIDENCE }),
+  validation: 'fallback',
+  fallbackReason
+});
+
+/* ---------- Post-rules ---------- */
+// Declarative corrections from POST_RULES_FILE (Rule #2 lives there); hot-reloaded on change
+const POST_RULES_FILE = process.env.POST_RULES_FILE || './post_rules.json';
+const postRules = createRuleEngine({ file: POST_RULES_FILE, log: log.child({ component: 'rules' }) });
+
+// Mutates and returns x; applied rule IDs land in x.appliedRules. when.language/script match x.detectedLanguage.
+const applyPostRules = (x, text, ctx) => postRules.apply(x, { text, ...ctx, ...parseLocale(x.detectedLanguage) });
+
+/* ---------- Entities ---------- */
+// Opt-in with body.entities === true; resolved locally after post-rules and never cached.
+// → null (off), { timezone, referenceTime } or { problem } (an invalid_request detail)
+function entityOptions(body) {
+  if (body.entities !== true) return null;
+  // Canonical spelling, so entities.js caches one formatter per zone however clients write it
+  const timezone = typeof body.timezone === 'string' || body.timezone === undefined ? canonicalTimeZone(body.timezone ?? 'UTC') : null;
+  if (!timezone) {
+    return { problem: { path: '$.timezone', code: 'invalid_timezone', message: 'must be an IANA time zone' } };
+  }
+  const ref = body.referenceTime;
+  // An ISO string must carry its offset; otherwise epoch milliseconds
+  const referenceTime = ref === undefined ? Date.now()
+    : typeof ref === 'number' ? ref
+    : typeof ref === 'string' && /(?:Z|[+-]\d{2}:?\d{2})$/i.test(ref) ? Date.parse(ref)
+    : NaN;
+  if (!Number.isFinite(referenceTime)) {
+    return { problem: { path: '$.referenceTime', code: 'invalid_reference_time', message: 'must be epoch milliseconds or ISO 8601 with an offset' } };
+  }
+  return { timezone, referenceTime };
+}
+
+// Mutates and returns x
+const applyEntities = (x, text, ctx) => {
+  if (ctx.entities) x.entities = extractEntities(text, x.category, ctx.entities);
+  return x;
+};
+
+// /analyze split mode: where in body.text the item came from
+const withSource = (x, segments, i) => {
+  if (segments) x.source = segments[i].source;
+  return x;
+};
+
+/* ---------- Language detection ---------- */
+// Script + likely language of every text (language.js), known before its prompt is built: the prompt's
+// USER_PREFERRED_LANGUAGES shrink to the languages its texts are in, items carry detectedLanguage
+// ("hi", "hi-Latn", … or null), post-rules match on it and ctx.localeTemplate picks per-locale templates.
+// DETECT_LANGUAGE=0 sends the full language list and leaves detectedLanguage out.
+const DETECT_LANGUAGE = process.env.DETECT_LANGUAGE !== '0';
+
+const detectOf = (text, ctx) => (DETECT_LANGUAGE ? detectLanguage(text, { languages: ctx.languages }) : null);
+const promptLanguages = (detections, ctx) => (DETECT_LANGUAGE ? narrowLanguages(detections, ctx.languages) : ctx.languages);
+const templateFor = (ctx, detected) => (detected?.language && ctx.localeTemplate?.(detected)) || ctx.template;
+
+// Mutates and returns x
+const withLanguage = (x, detected) => {
+  if (DETECT_LANGUAGE) x.detectedLanguage = detected?.tag ?? null;
+  return x;
+};
 
-app.post('/classify', requireAppKey, async (req, res) => {
+/* ---------- Pipeline ---------- */
+// ctx: { categories, languages, subcats, hints, template, localeTemplate?, entities, fallback, chain, ruleIds } — hints
+// already capped; fallback: false → ProvidersFailedError instead of rules answers when the whole chain fails
+
+// A text the user corrected before is answered from their correction, without a model call
+function learnedResult(userId, text, { categories, subcats }) {
+  const e = userId ? feedbackStore.lookup(userId, text) : null;
+  if (!e || !categories.includes(e.category)) return null;
+  return sanitizeSingle({
+    category: e.category,
+    subcategory: e.subcategory,
+    confidence: 1,
+    reason: 'Matches your earlier correction',
+    provider: 'feedback',
+    validation: 'validated'
+  }, categories, subcats);
+}
+
+// ctx.template: { id, build } from the prompt router (its id is part of the cache key)
+const cacheContext = (kind, ctx) => classifyCache.contextHash({
+  kind,
+  ...ctx,
+  promptVersion: ctx.template.id,
+  models: ctx.chain.map(p => `${p.name}:${p.model}`).join(',')
+});
+
+// One text → sanitized result (learned correction → cache → provider chain → escalation → rules fallback)
+// + the template used and the text's language detection
+async function classifyOne(text, ctx, { userId } = {}) {
+  const { categories, subcats } = ctx;
+  const detected = detectOf(text, ctx);
+  const template = templateFor(ctx, detected);
+  const prompt = template.build({ text, ...ctx, languages: promptLanguages([detected], ctx) });
+  const learned = learnedResult(userId, text, ctx);
+  if (learned) return { clean: { ...learned, cached: false }, prompt: null, raw: null, attempts: [], template, detected };
+
+  const schema = classifySchema(categories);
+  const cacheKey = classifyCache.keyFor(text, cacheContext('classify', { ...ctx, template }));
+  const hit = await classifyCache.get(cacheKey);
+  if (hit) return { clean: { ...hit, cached: true }, prompt, raw: null, attempts: [], template, detected };
+
+  // Providers down → deterministic rules instead of a 500
+  let result = null;
+  let failure = null;
   try {
-    const body = req.body || {};
-    if (DEBUG_AI) console.log('[classify] body:', JSON.stringify(body).slice(0, 500));
+    result = await callLLM({ prompt, schema, log: ctx.log, onUsage: ctx.onUsage, chain: ctx.chain });
+  } catch (e) {
+    if (mustPropagate(e) || ctx.fallback === false) throw e;
+    failure = e;
+    ctx.log?.warn('rules_fallback', { route: 'classify', cause: e.code, err: e });
+  }
+  if (!result) metric.rulesFallback.inc({ route: 'classify' });
+  const mapped = result
+    ? { ...mapClassify(JSON.stringify(result.parsed)), provider: result.provider, validation: result.validation }
+    : rulesResult(text, ctx, failure.code);
 
-    const text = typeof body.text === 'string' ? body.text : String(body.text ?? '').trim();
+  let clean = sanitizeSingle(mapped, categories, subcats);
+  const attempts = result ? [attemptOf(result, { category: clean.category, confidence: clean.confidence })] : [];
 
-    let categories = Array.isArray(body.categories) && body.categories.length
-      ? body.categories
-      : ["To-do","Reminders","Groceries","Movies","Shows","App","Other"];
+  // Weak answer → ask the next provider in the chain and keep the better one
+  if (result && isWeak(clean) && result.index + 1 < ctx.chain.length) {
+    metric.escalations.inc({ route: 'classify' });
+    try {
+      const second = await callLLM({ prompt, schema, startAt: result.index + 1, log: ctx.log, onUsage: ctx.onUsage, chain: ctx.chain });
+      const clean2 = sanitizeSingle({ ...mapClassify(JSON.stringify(second.parsed)), provider: second.provider, validation: second.validation }, categories, subcats);
+      attempts.push(attemptOf(second, { category: clean2.category, confidence: clean2.confidence }));
+      clean = pickBetter(clean, clean2);
+    } catch (e) {
+      if (mustPropagate(e)) throw e;
+      ctx.log?.debug('escalation_failed', { route: 'classify', err: e });
+    }
+  }
 
-    let languages = Array.isArray(body.languages) && body.languages.length
-      ? body.languages
-      : ["en","es","hi","zh","ko","it","vi","fr","te","ta","mr","bn","gu","pa","ur"];
+  if (clean.provider !== 'rules') await classifyCache.set(cacheKey, clean);
+  return { clean: { ...clean, cached: false }, prompt, raw: result?.raw ?? null, attempts, template, detected };
+}
 
-    const subcategoriesByCategory = body.subcategoriesByCategory || {};
-    const hintsByCategory = body.hintsByCategory || {};
+// One chunk of { id, text, detected } entries → Map(id → sanitized result). Lines the model skips are
+// re-asked once; anything still missing (or every line, if all providers fail) goes to the rules.
+async function analyzeChunk(entries, ctx, { signal } = {}) {
+  const { categories, subcats } = ctx;
+  // Every prompt (first ask, re-ask, escalation) lists only the languages of the lines it carries
+  const build = (es) => ctx.template.build({ lines: es, ...ctx, languages: promptLanguages(es.map(e => e.detected), ctx) });
+  const prompt = build(entries);
+  const schema = analyzeSchema(categories);
+  const out = { ids: entries.map(e => e.id), promptVersion: ctx.template.id, results: new Map(), prompt, raw: null, attempts: [] };
+  const byRules = (e, reason) => {
+    metric.rulesFallback.inc({ route: 'analyze' });
+    return rulesResult(e.text, ctx, reason);
+  };
 
-    const prompt = buildClassifyPrompt({
-      text,
-      languages,
-      categories,
-      subcats: subcategoriesByCategory,
-      hints: capHints(hintsByCategory)
-    });
+  let result = null;
+  try {
+    result = await callLLM({ prompt, schema, signal, log: ctx.log, onUsage: ctx.onUsage, chain: ctx.chain });
+  } catch (err) {
+    if (mustPropagate(err, signal) || ctx.fallback === false) throw err;
+    ctx.log?.warn('rules_fallback', { route: 'analyze', lines: entries.length, cause: err.code, err });
+    for (const e of entries) out.results.set(e.id, sanitizeSingle(byRules(e, err.code), categories, subcats));
+    return out;
+  }
+  out.raw = result.raw;
 
-    const { provider, raw, parsed } = await callLLM({ prompt });
-    const mapped = mapClassify(JSON.stringify(parsed));
-    mapped.provider = provider;
+  const first = mapAnalyze(JSON.stringify(result.parsed), entries);
+  out.attempts.push(attemptOf(result, { lines: entries.length, missing: first.missing.length }));
+  const mapped = first.items.map(it => ({ ...it, provider: result.provider, validation: result.validation }));
 
-    const clean = sanitizeSingle(mapped, categories, subcategoriesByCategory);
+  // Model dropped or merged lines → ask again for just those
+  if (first.missing.length) {
+    try {
+      const again = await callLLM({ prompt: build(first.missing), schema, startAt: result.index, signal, log: ctx.log, onUsage: ctx.onUsage, chain: ctx.chain });
+      const second = mapAnalyze(JSON.stringify(again.parsed), first.missing);
+      out.attempts.push(attemptOf(again, { lines: first.missing.length, missing: second.missing.length }));
+      mapped.push(...second.items.map(it => ({ ...it, provider: again.provider, validation: again.validation })));
+    } catch (e) {
+      if (mustPropagate(e, signal)) throw e;
+      ctx.log?.debug('reask_failed', { route: 'analyze', missing: first.missing.length, err: e });
+    }
+    signal?.throwIfAborted();
+  }
+  for (const it of mapped) out.results.set(it.id, sanitizeSingle(it, categories, subcats));
+  for (const e of entries) {
+    if (!out.results.has(e.id)) out.results.set(e.id, sanitizeSingle(byRules(e, 'incomplete_output'), categories, subcats));
+  }
 
-    // POST-RULE (Rule #2): ingredient/produce → Groceries
-    if (clean.category === 'Other' &&
-        (clean.suggestedNewCategory || '').toLowerCase() === 'food') {
-      clean.category = 'Groceries';
-      clean.suggestedNewCategory = null;
-      clean.reason = (clean.reason ? clean.reason + ' ' : '') + '(rule 2: ingredient → Groceries)';
+  // Re-ask the next provider for the weak lines only, then keep the better answer per line
+  const weak = entries.filter(e => out.results.get(e.id).provider !== 'rules' && isWeak(out.results.get(e.id)));
+  if (weak.length && result.index + 1 < ctx.chain.length) {
+    metric.escalations.inc({ route: 'analyze' }, weak.length);
+    try {
+      const second = await callLLM({ prompt: build(weak), schema, startAt: result.index + 1, signal, log: ctx.log, onUsage: ctx.onUsage, chain: ctx.chain });
+      const retried = mapAnalyze(JSON.stringify(second.parsed), weak);
+      out.attempts.push(attemptOf(second, { lines: weak.length, missing: retried.missing.length }));
+      for (const it of retried.items) {
+        out.results.set(it.id, pickBetter(out.results.get(it.id), sanitizeSingle({ ...it, provider: second.provider, validation: second.validation }, categories, subcats)));
+      }
+    } catch (e) {
+      if (mustPropagate(e, signal)) throw e;
+      ctx.log?.debug('escalation_failed', { route: 'analyze', weak: weak.length, err: e });
     }
+    signal?.throwIfAborted();
+  }
+  return out;
+}
+
+// Many lines → one sanitized result per line, in line order. Each line gets a stable ID (L1, L2, …);
+// cache misses are grouped by template (see ctx.localeTemplate) and split into chunks of ANALYZE_CHUNK_LINES
+// run ANALYZE_CONCURRENCY at a time. Items answered by a per-locale template carry their own promptVersion.
+// onItem(item) fires as soon as each line's result is known (cache hits first, then per chunk).
+async function analyzeMany(lines, ctx, { userId, signal, onItem } = {}) {
+  const entries = lines.map((text, i) => {
+    const detected = detectOf(text, ctx);
+    return { id: `L${i + 1}`, text, detected, template: templateFor(ctx, detected) };
+  });
+  const ctxHashes = new Map();
+  const ctxHash = (template) => {
+    if (!ctxHashes.has(template.id)) ctxHashes.set(template.id, cacheContext('analyze', { ...ctx, template }));
+    return ctxHashes.get(template.id);
+  };
+  const keys = entries.map(e => classifyCache.keyFor(e.text, ctxHash(e.template)));
+  const itemOf = (e, x, cached) => withLanguage({
+    id: e.id,
+    ...x,
+    cached,
+    ...(e.template.id !== ctx.template.id ? { promptVersion: e.template.id } : {})
+  }, e.detected);
 
-    if (req.query.debug === '1') {
-      clean.__debug = { prompt: trunc(prompt, 8000), raw: trunc(raw, 4000) };
+  const items = [];
+  for (const [i, k] of keys.entries()) {
+    const learned = learnedResult(userId, lines[i], ctx);
+    if (learned) {
+      items.push(itemOf(entries[i], learned, false));
+      onItem?.(items[i]);
+      continue;
     }
-    if (DEBUG_AI) {
-      console.log('[classify] cats:', categories);
-      console.log('[classify] langs:', languages);
-      console.log('[classify] out:', clean);
+    const hit = await classifyCache.get(k);
+    items.push(hit ? itemOf(entries[i], hit, true) : undefined);
+    if (hit) onItem?.(items[i]);
+  }
+  const pending = entries.filter((_, i) => !items[i]);
+  const out = { items, chunks: [], hits: items.filter(x => x?.cached).length, misses: pending.length };
+  if (!pending.length) return out;
+
+  const byTemplate = new Map();
+  for (const e of pending) byTemplate.set(e.template.id, [...(byTemplate.get(e.template.id) ?? []), e]);
+  const batches = [...byTemplate.values()].flatMap(group => chunk(group, ANALYZE_CHUNK_LINES));
+  out.chunks = await mapLimit(batches, ANALYZE_CONCURRENCY, async (c) => {
+    const r = await analyzeChunk(c, { ...ctx, template: c[0].template }, { signal });
+    for (const id of r.ids) {
+      const x = r.results.get(id);
+      const i = Number(id.slice(1)) - 1;
+      if (x.provider !== 'rules') await classifyCache.set(keys[i], x);
+      items[i] = itemOf(entries[i], x, false);
+      onItem?.(items[i]);
     }
-    res.json(clean);
+    return r;
+  });
+  return out;
+}
+
+/* ---------- Streaming ---------- */
+const debugChunks = (chunks, items, ctx) => ({
+  chunks: chunks.map(c => ({ ids: c.ids, promptVersion: c.promptVersion, prompt: trunc(c.prompt, 8000), raw: trunc(c.raw, 4000), attempts: c.attempts })),
+  rules: {
+    version: postRules.version,
+    applied: items.filter(x => x.appliedRules?.length).map(x => ({ id: x.id, rules: x.appliedRules }))
+  },
+  breakers: breakerStates(ctx.chain)
+});
+
+// /analyze?stream=1 → one `item` event per line as soon as it is known, then a `summary` event.
+// SSE when the client accepts text/event-stream, NDJSON ({ type, ... } per line) otherwise.
+// A client disconnect aborts the in-flight provider calls.
+async function streamAnalyze(req, res, lines, ctx, { userId, segments } = {}) {
+  const sse = (req.get('Accept') || '').includes('text/event-stream');
+  res.status(200).set({
+    'Content-Type': sse ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = (type, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(sse ? `event: ${type}\ndata: ${JSON.stringify(data)}\n\n` : JSON.stringify({ type, ...data }) + '\n');
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
+  try {
+    const streamed = [];
+    const { chunks, hits, misses } = await analyzeMany(lines, ctx, {
+      userId,
+      signal: controller.signal,
+      onItem: (x) => {
+        const i = Number(x.id.slice(1)) - 1;
+        const item = withSource(applyEntities(applyPostRules({ ...x }, lines[i], ctx), lines[i], ctx), segments, i);
+        observeResult('analyze', item);
+        streamed.push(item);
+        send('item', { item });
+      }
+    });
+    const summary = { count: lines.length, cache: { hits, misses }, promptVersion: ctx.template.id };
+    Object.assign(res.locals.log, { stream: true, lines: lines.length, split: segments ? true : undefined, items: streamed.length, chunks: chunks.length, cache: summary.cache, promptVersion: ctx.template.id });
+    if (wantsDebug(req)) summary.__debug = debugChunks(chunks, streamed, ctx);
+    send('summary', summary);
   } catch (e) {
-    if (DEBUG_AI) console.error('[classify] error:', e?.message || e);
-    res.status(500).json({ error: 'classification_failed' });
+    if (controller.signal.aborted) return; // access log records outcome "cancelled"
+    const [status, body] = failureOf(e, 'analyze_failed');
+    req.log[e instanceof ProvidersFailedError ? 'warn' : 'error']('analyze_stream_failed', { err: e });
+    res.locals.log.error = body.error;
+    // NDJSON events already use `type` for the event kind, so the error's type travels as errorType
+    send('error', { ...body, errorType: errorType(body.error, status), requestId: req.id });
   }
+  res.end();
+}
+
+/* ---------- Request validation ---------- */
+// Body limits for /classify, /analyze and /jobs (schemas.js). A violation is 400 invalid_request with
+// each problem as { path, code, message }; the request never reaches the quota or a provider.
+const REQUEST_LIMITS = {
+  textChars: Number(process.env.MAX_TEXT_CHARS) || 4000,
+  analyzeChars: Number(process.env.ANALYZE_MAX_CHARS) || 200000,
+  categories: Number(process.env.MAX_CATEGORIES) || 50,
+  nameChars: Number(process.env.MAX_CATEGORY_CHARS) || 60,
+  subcategories: Number(process.env.MAX_SUBCATEGORIES) || 100,
+  hintsPerCategory: Number(process.env.MAX_HINTS_PER_CATEGORY) || 100,
+  hintChars: Number(process.env.MAX_HINT_CHARS) || 200,
+  languages: Number(process.env.MAX_LANGUAGES) || 20,
+  notes: Number(process.env.JOBS_MAX_NOTES) || 10000
+};
+const ANALYZE_MAX_LINES = Number(process.env.ANALYZE_MAX_LINES) || 2000;
+const MAX_DETAILS = 20;
+
+const invalidRequest = (req, res, problems) => {
+  const details = problems.slice(0, MAX_DETAILS);
+  for (const d of details) metric.invalidRequests.inc({ route: req.route?.path ?? 'unmatched', code: d.code });
+  res.locals.log.invalid = details.slice(0, 5).map(d => `${d.path} ${d.code}`);
+  return res.status(400).json({ error: 'invalid_request', details });
+};
+
+function validateBody(kind) {
+  const schema = requestSchema(kind, REQUEST_LIMITS);
+  return (req, res, next) => {
+    const body = req.body ?? {};
+    const problems = validate(schema, body);
+    if (kind === 'classify' && !problems.length && !body.text.trim()) {
+      problems.push({ path: '$.text', code: 'min_length', message: 'must not be blank' });
+    }
+    if (!problems.length) problems.push(...taxonomyProblems(body, taxonomyOf(body, req.tenant).categories));
+    return problems.length ? invalidRequest(req, res, problems) : next();
+  };
+}
+
+// Route-level failure → [status, error body]
+const failureOf = (e, code) =>
+  e instanceof FixtureMissError ? [500, { error: 'fixture_missing', fixture: e.key }]
+  : e instanceof ProvidersFailedError ? [e.status, { error: e.code }]
+  : [500, { error: code }];
+
+/* ---------- Routes ---------- */
+// ?deep=1 (admin): configured providers with their recent error rates and breaker state, cache, rules and prompt routes.
+// `providers` is the default tenant's chain; tenants with their own chain are listed under `tenants`.
+app.get('/health', (req, res, next) => (req.query.deep === '1' ? next() : res.json({ ok: true })), requireAdminKey, (_req, res) => {
+  const list = providers.map(p => ({
+    name: p.name,
+    model: p.model,
+    timeoutMs: p.timeoutMs,
+    structured: p.structured,
+    recent: recentCalls.summary(p.name),
+    breaker: p.breaker.snapshot()
+  }));
+  const down = (p) => p.breaker.state === 'open' || (p.recent.errorRate !== null && p.recent.errorRate >= 0.5);
+  const failing = list.length > 0 && list.every(down);
+  res.status(list.length ? 200 : 503).json({
+    ok: list.length > 0,
+    status: !list.length ? 'no_providers' : failing ? 'degraded' : 'ok',
+    mode: String(process.env.PROVIDER_MODE || 'live').toLowerCase(),
+    uptimeSec: Math.round(process.uptime()),
+    windowSec: recentCalls.windowMs / 1000,
+    providers: list,
+    cache: { ...classifyCache.stats },
+    rules: { version: postRules.version, count: postRules.rules.length },
+    prompts: promptRouter.routes,
+    jobs: jobs.counts(),
+    tenants: tenants.list.filter(t => chainOf(t) !== providers).map(t => ({
+      id: t.id,
+      providers: chainOf(t).map(p => ({ name: p.name, model: p.model, breaker: p.breaker.state }))
+    }))
+  });
 });
 
-app.post('/analyze', requireAppKey, async (req, res) => {
-  try {
-    const body = req.body || {};
-    if (DEBUG_AI) console.log('[analyze] body:', JSON.stringify(body).slice(0, 500));
+app.get('/metrics', requireAdminKey, (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-    const lines = splitLines(body.text);
+// Unsigned sessions are allowed even with SIGNING_MODE=required (a new installation needs one to register);
+// the model routes still require the signature
+app.post('/session', verifySignatureIfSigned, requireAppKey, (req, res) => {
+  if (!SESSIONS_ENABLED) return res.status(503).json({ error: 'session_unavailable' });
+  const deviceId = req.get('X-Device-Id') || req.body?.deviceId;
+  const claims = typeof deviceId === 'string' && deviceId.trim() ? { sub: deviceId.trim().slice(0, 128) } : {};
+  if (RESERVED_IDS.has(claims.sub)) return res.status(400).json({ error: 'invalid_device_id' });
+  // A registered installation's ID is only handed out as a subject to that installation
+  if (claims.sub && installations.has(claims.sub) && req.signature?.installationId !== claims.sub) {
+    return res.status(401).json({ error: 'signature_required' });
+  }
+  const token = jwt.sign(claims, JWT_SECRET, { algorithm: 'HS256', expiresIn: SESSION_TTL_SEC, audience: req.tenant.id });
+  res.json({ token, expiresInSec: SESSION_TTL_SEC, tenant: req.tenant.id });
+});
 
-    let categories = Array.isArray(body.categories) && body.categories.length
-      ? body.categories
-      : ["To-do","Reminders","Groceries","Movies","Shows","App","Other"];
+// A random signing secret for the caller's installation, issued once: the session subject when
+// sessions are on (else X-Device-Id with the app key). A registered ID gets a new secret only when the
+// request is signed with its current one and asks for { "rotate": true }; otherwise 409.
+app.post('/signing/register', verifySignatureIfSigned, requireSession, (req, res) => {
+  if (SIGNING_MODE === 'off') return res.status(503).json({ error: 'signing_unavailable' });
+  const installationId = JWT_SECRET ? req.session.sub : req.get('X-Device-Id')?.trim();
+  if (!installationId || installationId.length > 128) return res.status(400).json({ error: 'device_id_required' });
+  if (RESERVED_IDS.has(installationId)) return res.status(400).json({ error: 'invalid_device_id' });
+  const rotate = req.body?.rotate === true && req.signature?.installationId === installationId;
+  if (installations.has(installationId) && !rotate) return res.status(409).json({ error: 'installation_registered' });
+  let issued;
+  try {
+    issued = installations.issue(installationId, { tenant: req.tenant.id });
+  } catch (e) {
+    req.log.error('installation_write_failed', { err: e });
+    return res.status(500).json({ error: 'internal_error' });
+  }
+  req.log.info('installation_registered', { installationId, keyId: issued.keyId, rotated: rotate });
+  res.set('Cache-Control', 'no-store');
+  res.json({ keyId: issued.keyId, secret: issued.secret, algorithm: 'HMAC-SHA256', maxSkewSec: signer.maxSkewSec });
+});
 
-    let languages = Array.isArray(body.languages) && body.languages.length
-      ? body.languages
-      : ["en","es","hi","zh","ko","it","vi","fr","te","ta","mr","bn","gu","pa","ur"];
+app.post('/classify', verifySignature, requireSession, validateBody('classify'), enforceQuota('classify'), async (req, res) => {
+  try {
+    const body = req.body;
+    req.log.debug('classify_body', { body });
 
-    const subcategoriesByCategory = body.subcategoriesByCategory || {};
+    const text = body.text;
+    const { categories, languages, subcats } = taxonomyOf(body, req.tenant);
     const hintsByCategory = body.hintsByCategory || {};
 
-    if (!lines.length) return res.json({ items: [] });
+    const userId = identityOf(req);
+    const hints = capHints(mergeHints(userId ? feedbackStore.hintsFor(userId) : {}, hintsByCategory));
+    const template = pickTemplate(req, 'classify');
+    if (!template) return res.status(400).json({ error: 'unknown_prompt_version' });
+    const entities = entityOptions(body);
+    if (entities?.problem) return invalidRequest(req, res, [entities.problem]);
+    const ctx = { languages, categories, subcats, hints, template, localeTemplate: localeTemplates(req, 'classify'), entities, fallback: body.fallback, ...tenantContext(req.tenant), log: req.log, onUsage: usageTracker(req, res) };
+    const { clean, prompt, raw, attempts, template: used, detected } = await classifyOne(text, ctx, { userId });
+    clean.promptVersion = used.id;
+    withLanguage(clean, detected);
 
-    const prompt = buildAnalyzePrompt({
-      lines,
-      languages,
-      categories,
-      subcats: subcategoriesByCategory,
-      hints: capHints(hintsByCategory)
-    });
+    applyPostRules(clean, text, ctx);
+    applyEntities(clean, text, ctx);
+    observeResult('classify', clean);
 
-    const { provider, raw, parsed } = await callLLM({ prompt });
-    const mapped = mapAnalyze(JSON.stringify(parsed), lines);
-    const items = mapped.items.map(it => {
-      const x = sanitizeSingle({ ...it, provider }, categories, subcategoriesByCategory);
-      // POST-RULE (Rule #2): ingredient/produce → Groceries
-      if (x.category === 'Other' &&
-          (x.suggestedNewCategory || '').toLowerCase() === 'food') {
-        x.category = 'Groceries';
-        x.suggestedNewCategory = null;
-        x.reason = (x.reason ? x.reason + ' ' : '') + '(rule 2: ingredient → Groceries)';
-      }
-      return x;
+    if (wantsDebug(req)) {
+      clean.__debug = { prompt: trunc(prompt, 8000), raw: trunc(raw, 4000), attempts, language: detected, rules: { version: postRules.version, applied: clean.appliedRules }, breakers: breakerStates(ctx.chain) };
+    }
+    Object.assign(res.locals.log, {
+      provider: clean.provider,
+      model: attempts.at(-1)?.model,
+      validation: clean.validation,
+      cached: clean.cached,
+      attempts: attempts.length,
+      promptVersion: used.id,
+      language: clean.detectedLanguage
     });
+    req.log.debug('classify_result', { categories, languages, result: clean });
+    res.json(clean);
+  } catch (e) {
+    req.log[e instanceof ProvidersFailedError ? 'warn' : 'error']('classify_failed', { err: e });
+    const [status, body] = failureOf(e, 'classification_failed');
+    res.status(status).json(body);
+  }
+});
+
+app.post('/analyze', verifySignature, requireSession, validateBody('analyze'), enforceQuota('analyze'), async (req, res) => {
+  try {
+    const body = req.body;
+    req.log.debug('analyze_body', { body });
 
-    const payload = { items };
-    if (req.query.debug === '1') payload.__debug = { prompt: trunc(prompt, 8000), raw: trunc(raw, 4000) };
-    if (DEBUG_AI) {
-      console.log('[analyze] cats:', categories);
-      console.log('[analyze] langs:', languages);
-      console.log('[analyze] items:', items.length);
+    const { categories, languages, subcats } = taxonomyOf(body, req.tenant);
+    const segments = body.split === true ? splitSegments(body.text, languages) : null;
+    const lines = segments ? segments.map(x => x.text) : splitLines(body.text);
+    if (lines.length > ANALYZE_MAX_LINES) {
+      return invalidRequest(req, res, [{ path: '$.text', code: 'max_lines', message: `must have at most ${ANALYZE_MAX_LINES} ${segments ? 'items' : 'lines'}` }]);
     }
+
+    const hintsByCategory = body.hintsByCategory || {};
+
+    const userId = identityOf(req);
+    const hints = capHints(mergeHints(userId ? feedbackStore.hintsFor(userId) : {}, hintsByCategory));
+    const template = pickTemplate(req, 'analyze');
+    if (!template) return res.status(400).json({ error: 'unknown_prompt_version' });
+    const entities = entityOptions(body);
+    if (entities?.problem) return invalidRequest(req, res, [entities.problem]);
+    const ctx = { languages, categories, subcats, hints, template, localeTemplate: localeTemplates(req, 'analyze'), entities, fallback: body.fallback, ...tenantContext(req.tenant), log: req.log, onUsage: usageTracker(req, res) };
+    if (req.query.stream === '1') return await streamAnalyze(req, res, lines, ctx, { userId, segments });
+
+    if (!lines.length) return res.json({ items: [], promptVersion: template.id });
+
+    const { items: sanitized, chunks, hits, misses } = await analyzeMany(lines, ctx, { userId });
+
+    const items = sanitized.map((x, i) => withSource(applyEntities(applyPostRules(x, lines[i], ctx), lines[i], ctx), segments, i));
+    items.forEach(x => observeResult('analyze', x));
+
+    const payload = { items, cache: { hits, misses }, promptVersion: template.id };
+    if (wantsDebug(req)) payload.__debug = debugChunks(chunks, items, ctx);
+    Object.assign(res.locals.log, {
+      lines: lines.length,
+      split: segments ? true : undefined,
+      items: items.length,
+      chunks: chunks.length,
+      providers: countBy(items, 'provider'),
+      languages: DETECT_LANGUAGE ? countBy(items, 'detectedLanguage') : undefined,
+      cache: { hits, misses },
+      promptVersion: template.id
+    });
+    req.log.debug('analyze_result', { categories, languages, result: items });
     res.json(payload);
   } catch (e) {
-    if (DEBUG_AI) console.error('[analyze] error:', e?.message || e);
-    res.status(500).json({ error: 'analyze_failed' });
+    req.log[e instanceof ProvidersFailedError ? 'warn' : 'error']('analyze_failed', { err: e });
+    const [status, body] = failureOf(e, 'analyze_failed');
+    res.status(status).json(body);
+  }
+});
+
+// Corrections: "text X was classified as `from`, the user moved it to `category` (`subcategory`)"
+app.post('/feedback', verifySignature, requireSession, (req, res) => {
+  const userId = identityOf(req);
+  if (!userId) return res.status(401).json({ error: 'identity_required' });
+  const { text, category, subcategory, from } = req.body || {};
+  const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  if (!str(text) || text.length > 500 || !str(category)) {
+    return res.status(400).json({ error: 'invalid_feedback' });
   }
+  const entry = feedbackStore.record(userId, {
+    text,
+    category: str(category),
+    subcategory: str(subcategory),
+    from: str(from)
+  });
+  res.json({ ok: true, entry });
+});
+
+app.get('/hints', verifySignature, requireSession, (req, res) => {
+  const userId = identityOf(req);
+  if (!userId) return res.status(401).json({ error: 'identity_required' });
+  res.json({ entries: feedbackStore.list(userId), hintsByCategory: feedbackStore.hintsFor(userId) });
+});
+
+// ?text=… deletes one learned text; without it, all of the user's learned hints
+app.delete('/hints', verifySignature, requireSession, (req, res) => {
+  const userId = identityOf(req);
+  if (!userId) return res.status(401).json({ error: 'identity_required' });
+  const text = typeof req.query.text === 'string' ? req.query.text : undefined;
+  res.json({ removed: feedbackStore.remove(userId, text) });
+});
+
+/* ---------- Admin (ADMIN_KEY) ---------- */
+// What this process is actually running with; no secrets, only whether they are set
+app.get('/admin/config', requireAdminKey, (_req, res) => {
+  res.json({
+    providers: {
+      mode: String(process.env.PROVIDER_MODE || 'live').toLowerCase(),
+      chain: providers.map(p => ({
+        name: p.name,
+        model: p.model,
+        timeoutMs: p.timeoutMs,
+        temperature: p.temperature ?? null,
+        structured: p.structured,
+        params: p.params,
+        retries: p.retries,
+        breaker: p.breaker.snapshot()
+      })),
+      fallbackConfidence: FALLBACK_CONFIDENCE
+    },
+    limits: {
+      rateLimitPerMinPerIp: RATE_LIMIT_PER_MIN, // default tenant's; see tenants[].limits
+      trustProxy: TRUST_PROXY,
+      quotas: quotas.limits,
+      request: REQUEST_LIMITS,
+      analyze: { chunkLines: ANALYZE_CHUNK_LINES, concurrency: ANALYZE_CONCURRENCY, maxLines: ANALYZE_MAX_LINES },
+      jobs: { maxNotes: JOBS_MAX_NOTES, maxActivePerUser: JOBS_MAX_ACTIVE, bodyLimit: JOBS_BODY_LIMIT }
+    },
+    tenants: tenants.list.map(t => ({
+      id: t.id,
+      appKeys: t.appKeys.length,
+      categories: t.categories,
+      languages: t.languages,
+      chain: chainOf(t).map(p => `${p.name}:${p.model}`),
+      limits: t.limits,
+      postRules: t.postRules,
+      allowOrigins: t.allowOrigins,
+      debug: t.debug
+    })),
+    auth: {
+      jwt: !!JWT_SECRET,
+      sessions: SESSIONS_ENABLED,
+      sessionTtlSec: SESSION_TTL_SEC,
+      appKey: tenants.hasKeys,
+      signing: { mode: SIGNING_MODE, keyIds: signer.keyIds, currentKeyId: signer.currentKeyId, maxSkewSec: signer.maxSkewSec, nonces: signer.nonces.size, registryFile: SIGNING_REGISTRY_FILE, installations: installations.size }
+    },
+    cache: { ttlSec: CACHE_TTL_SEC, maxEntries: CACHE_MAX_ENTRIES, entries: classifyCache.store.size ?? null, ...classifyCache.stats },
+    rules: { file: POST_RULES_FILE, version: postRules.version, rules: postRules.rules },
+    prompts: { routes: promptRouter.routes, locales: promptRouter.locales, available: Object.keys(TEMPLATES) },
+    languageDetection: DETECT_LANGUAGE,
+    logging: { level: LOG_LEVEL, redact: LOG_REDACT }
+  });
+});
+
+// Most recent warnings/errors first (?limit=, default 50); note text is redacted as in the logs
+app.get('/admin/failures', requireAdminKey, (req, res) => {
+  const limit = Math.min(FAILURES_MAX, Math.max(1, Number(req.query.limit) || 50));
+  res.json({ failures: recentFailures.slice(-limit).reverse(), kept: recentFailures.length });
+});
+
+// Forget an installation (lost device, leaked secret): its signatures stop verifying and its ID can register again
+app.delete('/admin/installations/:id', requireAdminKey, (req, res) => {
+  if (!installations.remove(req.params.id)) return res.status(404).json({ error: 'not_found' });
+  req.log.info('installation_removed', { installationId: req.params.id });
+  res.json({ removed: true });
+});
+
+app.post('/admin/cache/flush', requireAdminKey, async (req, res) => {
+  const entries = classifyCache.store.size ?? null;
+  await classifyCache.clear();
+  req.log.info('cache_flushed', { entries });
+  res.json({ ok: true, flushed: entries });
 });
 
-app.listen(PORT, () => console.log(`smartnotes-proxy (exact prompts, hardened) on ${PORT}`));
+// The caller's remaining quota (does not count against it)
+app.get('/usage', verifySignature, requireSession, (req, res) => {
+  const identity = quotaIdentity(req);
+  res.json({ identity, tenant: req.tenant.id, ...quotas.usage(identity, req.tenant.limits) });
+});
+
+/* ---------- Batch jobs ---------- */
+// POST /jobs queues up to JOBS_MAX_NOTES notes; pages of JOBS_PAGE_SIZE go through the /analyze pipeline
+// (learned corrections → cache → prompt → callLLM → sanitizeSingle → post-rules) in the background.
+// Taxonomy, hints and prompt version are fixed when the job is created. Tokens count against the
+// creator's budget; an exhausted budget pauses the job until it resets.
+const JOBS_MAX_NOTES = REQUEST_LIMITS.notes;
+const JOBS_MAX_ACTIVE = Number(process.env.JOBS_MAX_ACTIVE_PER_USER) || 2;
+const JOBS_BODY_LIMIT = process.env.JOBS_BODY_LIMIT || '20mb';
+const JOBS_PAGE_MAX = 1000;
+
+async function processJobPage(job, notes, signal) {
+  const p = job.params;
+  // Jobs created before tenants existed, or whose tenant was since removed, run as "default"
+  const tenant = tenants.get(p.tenant ?? 'default') ?? DEFAULT_TENANT;
+  const budget = p.quotaId ?? job.owner; // jobs created before quotaId was recorded charge their owner
+  // Tokens only: pages are not requests, so they must not use up the owner's jobs-per-minute window
+  const over = quotas.checkTokens(budget, tenant.limits);
+  if (over) throw new JobPause(Date.parse(over.resetAt), 'quota_exceeded');
+  const template = promptRouter.assign('analyze', { pin: p.promptVersion });
+  if (!template) throw new Error(`prompt ${p.promptVersion} is no longer available`);
+  const ctx = {
+    languages: p.languages,
+    categories: p.categories,
+    subcats: p.subcats,
+    hints: p.hints,
+    template,
+    entities: p.entities,
+    ...tenantContext(tenant),
+    log: log.child({ jobId: job.id }),
+    onUsage: (u) => quotas.addTokens(budget, (u.input || 0) + (u.output || 0))
+  };
+  const texts = notes.map(n => n.text);
+  const { items } = await analyzeMany(texts, ctx, { userId: p.userId, signal });
+  metric.jobNotes.inc({}, notes.length);
+  return items.map((x, i) => {
+    const { id: _line, ...item } = applyEntities(applyPostRules(x, texts[i], ctx), texts[i], ctx);
+    observeResult('jobs', item);
+    return { noteId: notes[i].id, ...item };
+  });
+}
+
+const jobs = createJobQueue({
+  dir: process.env.JOBS_DIR || './data/jobs',
+  processPage: processJobPage,
+  pageSize: Number(process.env.JOBS_PAGE_SIZE) || 200,
+  concurrency: Number(process.env.JOBS_CONCURRENCY) || 1,
+  retentionMs: (Number(process.env.JOBS_RETENTION_HOURS) || 72) * 3600 * 1000,
+  log: log.child({ component: 'jobs' })
+});
+jobs.start();
+
+// notes (already an array of strings / objects): ["text", …] or [{ id, text }, …] → [{ id, text }]
+// (id defaults to the index), plus an invalid_request detail per bad note
+const normalizeNotes = (notes) => {
+  const out = [];
+  const problems = [];
+  for (const [i, n] of notes.entries()) {
+    const text = typeof n === 'string' ? n : n.text;
+    const path = typeof n === 'string' ? `$.notes[${i}]` : `$.notes[${i}].text`;
+    if (typeof text !== 'string' || !text.trim()) problems.push({ path, code: 'min_length', message: 'must be non-empty text' });
+    else if (text.length > REQUEST_LIMITS.textChars) problems.push({ path, code: 'max_length', message: `must be at most ${REQUEST_LIMITS.textChars} characters` });
+    if (problems.length) continue;
+    const id = typeof n === 'object' && (typeof n.id === 'string' || typeof n.id === 'number') ? String(n.id) : String(i);
+    out.push({ id, text: text.trim() });
+  }
+  return { notes: out, problems };
+};
+
+// Jobs belong to an authenticated identity (identityOf); a shared IP or app key is not an owner
+const requireIdentity = (req, res, next) => (identityOf(req) ? next() : res.status(401).json({ error: 'identity_required' }));
+
+// The caller's own job, or a 404 (other callers' jobs are indistinguishable from missing ones)
+const ownJob = (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (job && job.owner === identityOf(req)) return job;
+  res.status(404).json({ error: 'job_not_found' });
+  return null;
+};
+
+app.post('/jobs', express.json({ limit: JOBS_BODY_LIMIT, verify: keepRawBody }), verifySignature, requireSession, requireIdentity, validateBody('jobs'), enforceQuota('jobs'), (req, res) => {
+  const body = req.body;
+  const { notes, problems } = normalizeNotes(body.notes);
+  if (problems.length) return invalidRequest(req, res, problems);
+
+  const owner = identityOf(req);
+  const active = jobs.list(owner).filter(j => !FINISHED.has(j.status)).length;
+  if (active >= JOBS_MAX_ACTIVE) return res.status(429).json({ error: 'too_many_jobs', active, max: JOBS_MAX_ACTIVE });
+
+  const { categories, languages, subcats } = taxonomyOf(body, req.tenant);
+  const template = pickTemplate(req, 'analyze');
+  if (!template) return res.status(400).json({ error: 'unknown_prompt_version' });
+  const entities = entityOptions(body);
+  if (entities?.problem) return invalidRequest(req, res, [entities.problem]);
+
+  const job = jobs.create({
+    owner,
+    notes,
+    params: {
+      userId: owner,
+      quotaId: req.quotaId,
+      tenant: req.tenant.id,
+      categories,
+      languages,
+      subcats,
+      hints: capHints(mergeHints(feedbackStore.hintsFor(owner), body.hintsByCategory || {})),
+      promptVersion: template.id,
+      entities
+    }
+  });
+  Object.assign(res.locals.log, { jobId: job.id, notes: notes.length, promptVersion: template.id });
+  res.status(202).location(`/jobs/${job.id}`).json({ job: jobs.summary(job) });
+});
+
+app.get('/jobs', verifySignature, requireSession, requireIdentity, (req, res) => {
+  res.json({ jobs: jobs.list(identityOf(req)).map(jobs.summary) });
+});
+
+// Progress plus one page of results: ?offset= (default 0) &limit= (default 100, max 1000)
+app.get('/jobs/:id', verifySignature, requireSession, requireIdentity, (req, res) => {
+  const job = ownJob(req, res);
+  if (!job) return;
+  const offset = Math.max(0, Math.floor(Number(req.query.offset) || 0));
+  const limit = Math.min(JOBS_PAGE_MAX, Math.max(1, Math.floor(Number(req.query.limit) || 100)));
+  const items = job.results.slice(offset, offset + limit);
+  res.json({
+    job: { ...jobs.summary(job), promptVersion: job.params.promptVersion },
+    results: { offset, limit, items, nextOffset: offset + items.length < job.results.length ? offset + items.length : null }
+  });
+});
+
+app.post('/jobs/:id/cancel', verifySignature, requireSession, requireIdentity, (req, res) => {
+  const job = ownJob(req, res);
+  if (!job) return;
+  if (FINISHED.has(job.status)) return res.status(409).json({ error: 'job_finished', job: jobs.summary(job) });
+  jobs.cancel(job.id);
+  req.log.info('job_cancelled', { jobId: job.id, processed: job.processed });
+  res.json({ job: jobs.summary(job) });
+});
+
+// Body-parser failures (malformed JSON, oversized body) and anything a route let escape
+app.use((err, req, res, _next) => {
+  if (err?.type === 'entity.parse.failed') return res.status(400).json({ error: 'invalid_json' });
+  if (err?.type === 'entity.too.large') return res.status(413).json({ error: 'payload_too_large', limit: err.limit });
+  req.log.error('unhandled_error', { err });
+  if (res.headersSent) return res.end();
+  res.status(500).json({ error: 'internal_error' });
+});
+
+for (const sig of ['SIGTERM', 'SIGINT']) {
+  process.on(sig, () => {
+    jobs.stop();
+    feedbackStore.flush();
+    quotas.flush();
+    process.exit(0);
+  });
+}
+
+app.listen(PORT, () => {
+  log.info('listening', {
+    port: Number(PORT),
+    prompts: Object.fromEntries(Object.entries(promptRouter.routes).map(([k, r]) => [k, r.map(x => `${x.version}:${x.weight}`).join(',')])),
+    providers: providers.map(p => `${p.name}:${p.model}`),
+    tenants: tenants.list.map(t => t.id),
+    redact: LOG_REDACT
+  });
+});
@@ -0,0 +1,226 @@
+// signing.js (ESM) — HMAC request signatures with timestamp + nonce replay protection
+//
+// Each installation signs with its own random secret, issued once by POST /signing/register and kept
+// in the installation store, encrypted (AES-256-GCM) under a server master key (SIGNING_KEYS[keyId]).
+// A registered installation ID cannot be registered again except by a request signed with its
+// current secret (rotation), or after the record is removed or its master key retired.
+//
+// Request headers:
+//   X-Device-Id             installation ID
+//   X-Signature-Key         keyId returned by registration
+//   X-Signature-Timestamp   unix seconds
+//   X-Signature-Nonce       16–128 chars of [A-Za-z0-9_-], never reused
+//   X-Signature             hex HMAC-SHA256(secret, canonical string)
+// Canonical string (joined with "\n"):
+//   METHOD, path with query, timestamp, nonce, hex SHA-256 of the raw body ("" when there is none)
+//
+// Rotation: SIGNING_KEYS lists every accepted key ("id:secret,id:secret"); the first one is used
+// for new registrations. Drop a key once its installations have re-registered; records under a
+// dropped key are forgotten.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const SIGNING_MODES = ['off', 'optional', 'required'];
+
+const NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+const KEY_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf ?? '').digest('hex');
+const hmac = (key, s) => crypto.createHmac('sha256', key).update(s).digest('hex');
+
+// "2025-01:secretA,2024-10:secretB" → [{ id, secret }] in order; malformed entries throw
+export function parseSigningKeys(v) {
+  const keys = [];
+  for (const part of String(v || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    const id = part.slice(0, i);
+    const secret = part.slice(i + 1);
+    if (i < 1 || !KEY_ID_RE.test(id) || secret.length < 16) {
+      throw new Error(`SIGNING_KEYS entry "${id || part.slice(0, 8)}…" must be <id>:<secret of 16+ chars>`);
+    }
+    if (keys.some(k => k.id === id)) throw new Error(`SIGNING_KEYS lists "${id}" twice`);
+    keys.push({ id, secret });
+  }
+  return keys;
+}
+
+export const canonicalString = ({ method, path, timestamp, nonce, body }) =>
+  [String(method).toUpperCase(), path, timestamp, nonce, sha256(body)].join('\n');
+
+/** Client side (and tests): the headers for one request. */
+export function signRequest({ method, path, body, secret, keyId, installationId, timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') }) {
+  return {
+    'X-Device-Id': installationId,
+    'X-Signature-Key': keyId,
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature-Nonce': nonce,
+    'X-Signature': hmac(secret, canonicalString({ method, path, timestamp, nonce, body }))
+  };
+}
+
+/* ---------- Nonce store ---------- */
+// Remembers nonces until they could no longer pass the timestamp check. When full, the oldest
+// entries are dropped first; size maxEntries for (requests per ttl) with room to spare.
+export function createNonceStore({ ttlMs, maxEntries = 100000, now = Date.now } = {}) {
+  const seen = new Map(); // nonce → expiresAt (insertion order = age)
+  const prune = (t) => {
+    for (const [k, exp] of seen) {
+      if (exp > t && seen.size < maxEntries) break;
+      seen.delete(k);
+    }
+  };
+  return {
+    get size() { return seen.size; },
+    // → true the first time a nonce is seen, false on reuse
+    claim(nonce) {
+      const t = now();
+      prune(t);
+      if (seen.has(nonce) && seen.get(nonce) > t) return false;
+      seen.set(nonce, t + ttlMs);
+      return true;
+    }
+  };
+}
+
+/* ---------- Installation store ---------- */
+/*
+ * File layout: { installations: { [installationId]: { keyId, iv, tag, secret, tenant, createdAt } } }
+ * `secret` is the installation's secret encrypted with a key derived from SIGNING_KEYS[keyId], with the
+ * installation ID as associated data, so a copied file or a record moved to another ID is useless.
+ * Writes are synchronous: a secret is only handed out once it is on disk.
+ */
+const wrapKey = (master) => crypto.createHmac('sha256', master).update('installation-secret').digest();
+
+export function createInstallationStore({ file, keys = [], log, now = Date.now } = {}) {
+  const byId = new Map(keys.map(k => [k.id, wrapKey(k.secret)]));
+  let records = new Map(); // installationId → record (a Map, so no ID can reach Object.prototype)
+  if (file && fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed.installations === 'object') records = new Map(Object.entries(parsed.installations));
+    } catch (e) {
+      log?.error('installations_read_failed', { file, err: e });
+    }
+  }
+
+  // Atomic write (tmp file + rename); throws so the caller never hands out an unsaved secret
+  const save = () => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ installations: Object.fromEntries(records) }), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  };
+
+  // A record whose master key is no longer listed cannot be read, so it counts as absent
+  const record = (installationId) => {
+    const r = records.get(installationId);
+    return r && byId.has(r.keyId) ? r : null;
+  };
+
+  const decrypt = (installationId, r) => {
+    try {
+      const d = crypto.createDecipheriv('aes-256-gcm', byId.get(r.keyId), Buffer.from(r.iv, 'hex'));
+      d.setAAD(Buffer.from(installationId));
+      d.setAuthTag(Buffer.from(r.tag, 'hex'));
+      return Buffer.concat([d.update(Buffer.from(r.secret, 'hex')), d.final()]).toString('utf8');
+    } catch (e) {
+      log?.error('installation_unreadable', { installationId, keyId: r.keyId, err: e });
+      return null;
+    }
+  };
+
+  return {
+    get size() { return records.size; },
+    has: (installationId) => !!record(installationId),
+
+    // → { keyId, secret, tenant } | null
+    lookup(installationId) {
+      const r = record(installationId);
+      const secret = r && decrypt(installationId, r);
+      return secret ? { keyId: r.keyId, secret, tenant: r.tenant } : null;
+    },
+
+    // New random secret under the current key, replacing any previous record → { keyId, secret }
+    issue(installationId, { tenant } = {}) {
+      const keyId = keys[0]?.id;
+      if (!keyId) throw new Error('no signing key configured');
+      const secret = crypto.randomBytes(32).toString('hex');
+      const iv = crypto.randomBytes(12);
+      const c = crypto.createCipheriv('aes-256-gcm', byId.get(keyId), iv);
+      c.setAAD(Buffer.from(installationId));
+      const enc = Buffer.concat([c.update(secret, 'utf8'), c.final()]);
+      const previous = records.get(installationId);
+      records.set(installationId, {
+        keyId, iv: iv.toString('hex'), tag: c.getAuthTag().toString('hex'), secret: enc.toString('hex'),
+        tenant: tenant ?? null, createdAt: new Date(now()).toISOString()
+      });
+      try {
+        save();
+      } catch (e) {
+        if (previous) records.set(installationId, previous);
+        else records.delete(installationId);
+        throw e;
+      }
+      return { keyId, secret };
+    },
+
+    // → true when a record was removed
+    remove(installationId) {
+      const previous = records.get(installationId);
+      if (!previous) return false;
+      records.delete(installationId);
+      try {
+        save();
+      } catch (e) {
+        records.set(installationId, previous);
+        throw e;
+      }
+      return true;
+    }
+  };
+}
+
+/* ---------- Verifier ---------- */
+/**
+ * createVerifier({ keys, installations, maxSkewSec, maxNonces }) → { keyIds, currentKeyId, verify }
+ * verify({ method, path, body, headers }) → { ok: true, keyId, installationId, tenant } | { ok: false, error }
+ *   error: signature_missing | signature_malformed | signature_unknown_key | signature_unregistered |
+ *          signature_stale | signature_replayed | signature_invalid
+ * `headers` is a getter: (name) => value. `installations` is a createInstallationStore().
+ */
+export function createVerifier({ keys = [], installations, maxSkewSec = 300, maxNonces = 100000, now = Date.now } = {}) {
+  const keyIds = keys.map(k => k.id);
+  const nonces = createNonceStore({ ttlMs: 2 * maxSkewSec * 1000, maxEntries: maxNonces, now });
+
+  return {
+    keyIds,
+    currentKeyId: keyIds[0] ?? null,
+    maxSkewSec,
+    nonces,
+    verify({ method, path, body, headers }) {
+      const installationId = headers('X-Device-Id')?.trim();
+      const keyId = headers('X-Signature-Key');
+      const ts = headers('X-Signature-Timestamp');
+      const nonce = headers('X-Signature-Nonce');
+      const sig = headers('X-Signature');
+      if (!sig && !keyId && !ts && !nonce) return { ok: false, error: 'signature_missing' };
+      if (!installationId || !keyId || !/^\d{1,12}$/.test(ts ?? '') || !NONCE_RE.test(nonce ?? '') || !/^[0-9a-f]{64}$/i.test(sig ?? '')) {
+        return { ok: false, error: 'signature_malformed' };
+      }
+      if (!keyIds.includes(keyId)) return { ok: false, error: 'signature_unknown_key' };
+      const installation = installations?.lookup(installationId);
+      if (!installation) return { ok: false, error: 'signature_unregistered' };
+      if (installation.keyId !== keyId) return { ok: false, error: 'signature_unknown_key' };
+      if (Math.abs(now() / 1000 - Number(ts)) > maxSkewSec) return { ok: false, error: 'signature_stale' };
+
+      const expected = Buffer.from(hmac(installation.secret, canonicalString({ method, path, timestamp: ts, nonce, body })), 'hex');
+      const got = Buffer.from(sig, 'hex');
+      if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) return { ok: false, error: 'signature_invalid' };
+      // Claimed only after the HMAC checks out, so forged requests cannot burn real nonces
+      if (!nonces.claim(`${keyId}\0${installationId}\0${nonce}`)) return { ok: false, error: 'signature_replayed' };
+      return { ok: true, keyId, installationId, tenant: installation.tenant };
+    }
+  };
+}
@@ -0,0 +1,158 @@
+// tenants.js (ESM) — named client profiles from TENANTS_FILE, selected by app key or session-token audience
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+
+/*
+ * File: { "tenants": { "<id>": profile, … } }
+ * Every profile field is optional; unset fields come from the "default" profile, which is built
+ * from env (APP_KEY, PROVIDER_CHAIN, QUOTA_*, ALLOW_ORIGINS, …) and may itself be overridden here.
+ *
+ * profile:
+ *   appKeyEnv     string | string[]    env vars holding this tenant's X-App-Key values (keys never live in the file;
+ *                                      APP_KEY always belongs to "default")
+ *   categories    string[]             default categories when a request sends none
+ *   languages     string[]             default languages
+ *   providers     { chain, models }    chain "gemini,openai" (as PROVIDER_CHAIN); models { gemini: "…" } (as <PREFIX>_MODEL)
+ *   limits        { ratePerMin, requestsPerMin: { classify, analyze, jobs }, tokensPerDay, tokensPerMonth } (0 = unlimited)
+ *   postRules     "*" | string[]       post-rule IDs this tenant runs ("*" = every enabled rule)
+ *   allowOrigins  string[]             browser origins that may call with this tenant's credentials
+ *   debug         boolean              ?debug=1 honored for this tenant's callers without an admin key
+ * Loaded once at startup; an invalid file throws.
+ */
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const ORIGIN_RE = /^https?:\/\/[^/\s]+$/;
+const LIMIT_KEYS = ['ratePerMin', 'requestsPerMin', 'tokensPerDay', 'tokensPerMonth'];
+const PROFILE_KEYS = ['appKeyEnv', 'categories', 'languages', 'providers', 'limits', 'postRules', 'allowOrigins', 'debug'];
+
+const isStrList = (v) => Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'string' && x.trim());
+const isLimit = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+/**
+ * Validate a parsed tenants file. Returns a list of "tenants.id.field: message" strings (empty when valid).
+ * providerNames: known provider names (providers.js) for `providers.models` keys.
+ */
+export function validateTenants(doc, { env = {}, providerNames = [] } = {}) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || !doc.tenants || typeof doc.tenants !== 'object' || Array.isArray(doc.tenants)) {
+    return ['root: expected { "tenants": { "<id>": { … } } }'];
+  }
+  for (const [id, p] of Object.entries(doc.tenants)) {
+    const at = `tenants.${id}`;
+    if (!ID_RE.test(id)) errors.push(`${at}: id must be 1–32 characters of a-z 0-9 _ - (lowercase)`);
+    if (!p || typeof p !== 'object' || Array.isArray(p)) {
+      errors.push(`${at}: expected an object`);
+      continue;
+    }
+    for (const k of Object.keys(p)) if (!PROFILE_KEYS.includes(k)) errors.push(`${at}.${k}: unknown field`);
+    if (p.appKeyEnv !== undefined) {
+      const names = [].concat(p.appKeyEnv);
+      if (!isStrList(names)) errors.push(`${at}.appKeyEnv: expected string or string[]`);
+      else for (const n of names) if (!env[n]) errors.push(`${at}.appKeyEnv: env var ${n} is not set`);
+    }
+    for (const k of ['categories', 'languages']) {
+      if (p[k] !== undefined && !isStrList(p[k])) errors.push(`${at}.${k}: expected a non-empty string[]`);
+    }
+    if (p.providers !== undefined) {
+      const { chain, models, ...rest } = p.providers ?? {};
+      if (!p.providers || typeof p.providers !== 'object') errors.push(`${at}.providers: expected { chain, models }`);
+      for (const k of Object.keys(rest)) errors.push(`${at}.providers.${k}: unknown field`);
+      if (chain !== undefined && (typeof chain !== 'string' || !chain.trim())) errors.push(`${at}.providers.chain: expected "name,name"`);
+      if (models !== undefined) {
+        if (!models || typeof models !== 'object' || Array.isArray(models)) errors.push(`${at}.providers.models: expected { provider: model }`);
+        else for (const [name, m] of Object.entries(models)) {
+          if (!providerNames.includes(name)) errors.push(`${at}.providers.models.${name}: unknown provider (known: ${providerNames.join(', ')})`);
+          if (typeof m !== 'string' || !m.trim()) errors.push(`${at}.providers.models.${name}: expected a model name`);
+        }
+      }
+    }
+    if (p.limits !== undefined) {
+      const l = p.limits;
+      if (!l || typeof l !== 'object') errors.push(`${at}.limits: expected an object`);
+      else {
+        for (const k of Object.keys(l)) if (!LIMIT_KEYS.includes(k)) errors.push(`${at}.limits.${k}: unknown limit`);
+        for (const k of ['ratePerMin', 'tokensPerDay', 'tokensPerMonth']) {
+          if (l[k] !== undefined && !isLimit(l[k])) errors.push(`${at}.limits.${k}: expected a number ≥ 0`);
+        }
+        if (l.ratePerMin === 0) errors.push(`${at}.limits.ratePerMin: must be > 0`);
+        if (l.requestsPerMin !== undefined) {
+          if (!l.requestsPerMin || typeof l.requestsPerMin !== 'object') errors.push(`${at}.limits.requestsPerMin: expected { route: number }`);
+          else for (const [r, v] of Object.entries(l.requestsPerMin)) if (!isLimit(v)) errors.push(`${at}.limits.requestsPerMin.${r}: expected a number ≥ 0`);
+        }
+      }
+    }
+    if (p.postRules !== undefined && p.postRules !== '*' && !(Array.isArray(p.postRules) && p.postRules.every(x => typeof x === 'string'))) {
+      errors.push(`${at}.postRules: expected "*" or string[]`);
+    }
+    if (p.allowOrigins !== undefined) {
+      if (!Array.isArray(p.allowOrigins)) errors.push(`${at}.allowOrigins: expected string[]`);
+      else for (const o of p.allowOrigins) if (typeof o !== 'string' || !ORIGIN_RE.test(o)) errors.push(`${at}.allowOrigins: "${o}" is not an origin (scheme://host[:port])`);
+    }
+    if (p.debug !== undefined && typeof p.debug !== 'boolean') errors.push(`${at}.debug: expected boolean`);
+  }
+  return errors;
+}
+
+// Profile over base: limits.requestsPerMin merges per route, everything else replaces
+function inherit(base, p, id, env) {
+  return {
+    id,
+    appKeys: [...(id === 'default' ? base.appKeys : []), ...[].concat(p.appKeyEnv ?? []).map(n => env[n])],
+    categories: p.categories ?? base.categories,
+    languages: p.languages ?? base.languages,
+    providers: p.providers ?? base.providers,
+    limits: {
+      ...base.limits,
+      ...p.limits,
+      requestsPerMin: { ...base.limits.requestsPerMin, ...p.limits?.requestsPerMin }
+    },
+    postRules: p.postRules ?? base.postRules,
+    allowOrigins: p.allowOrigins ?? base.allowOrigins,
+    debug: p.debug ?? base.debug
+  };
+}
+
+const sameKey = (a, b) => {
+  const x = crypto.createHash('sha256').update(a).digest();
+  const y = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * loadTenants({ file, env, defaults, providerNames }) → { list, get, forAppKey, hasKeys, origins }
+ * defaults: the env-built "default" profile (same shape as an inherited profile, with appKeys).
+ */
+export function loadTenants({ file, env = process.env, defaults, providerNames } = {}) {
+  let doc = { tenants: {} };
+  if (file && fs.existsSync(file)) {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateTenants(doc, { env, providerNames });
+    if (errors.length) throw new Error(`invalid tenants file ${file}:\n- ${errors.join('\n- ')}`);
+  }
+
+  const base = inherit({ ...defaults, id: 'default' }, doc.tenants.default ?? {}, 'default', env);
+  const byId = new Map([['default', base]]);
+  for (const [id, p] of Object.entries(doc.tenants)) if (id !== 'default') byId.set(id, inherit(base, p, id, env));
+
+  const owners = new Map();
+  for (const t of byId.values()) {
+    for (const k of t.appKeys) {
+      if (owners.has(k) && owners.get(k) !== t.id) throw new Error(`tenants ${owners.get(k)} and ${t.id} share an app key`);
+      owners.set(k, t.id);
+    }
+  }
+  const keys = [...owners.entries()];
+
+  return {
+    list: [...byId.values()],
+    get: (id) => byId.get(id) ?? null,
+    // Every key is compared (in constant time per key), so timing doesn't tell which tenant matched
+    forAppKey(key) {
+      let found = null;
+      for (const [k, id] of keys) if (sameKey(String(key ?? ''), k) && !found) found = byId.get(id);
+      return found;
+    },
+    hasKeys: keys.length > 0,
+    // Union of every tenant's allowOrigins, for the CORS preflight (which carries no credentials)
+    origins: [...new Set([...byId.values()].flatMap(t => t.allowOrigins))]
+  };
+}